@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import { Zap, Clock, Brain, GitBranch, Activity } from 'lucide-react';
 import QueryForm from './components/QueryForm';
 import ResultsDisplay from './components/ResultsDisplay';
@@ -10,17 +10,23 @@ import DemoModeToggle from './components/DemoModeToggle';
 import LoadingState from './components/LoadingState';
 import NotificationToast from './components/NotificationToast';
 
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const STATUS_POLL_INTERVAL_MS = 3000;
+
 function App() {
   const [optimization, setOptimization] = useState(null);
   const [isRunning, setIsRunning] = useState(false);
-  const [agentLogs] = useState([]);
+  const [agentLogs, setAgentLogs] = useState([]);
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [demoMode, setDemoMode] = useState(true); // Start in demo mode for hackathon
   const [notification, setNotification] = useState(null);
+  // Stops whatever run is in flight (demo timers or a live job)
+  const cancelRun = useRef(null);
 
   const handleOptimizationStart = async (queries, options) => {
     setIsRunning(true);
     setOptimization(null);
+    setAgentLogs([]);
 
     try {
       // Show start notification
@@ -35,19 +41,8 @@ function App() {
         // Demo mode - simulate the optimization process
         await runDemoOptimization(queries, options);
       } else {
-        // Live mode - try backend first, fallback to demo
-        try {
-          await runLiveOptimization(queries, options);
-        } catch (backendError) {
-          setNotification({
-            type: 'warning',
-            title: 'Switched to Demo Mode',
-            message: 'Backend unavailable, running simulation instead',
-            duration: 4000
-          });
-          setDemoMode(true);
-          await runDemoOptimization(queries, options);
-        }
+        // Live mode - a server error is shown as is, never replaced by demo results
+        await runLiveOptimization(queries, options);
       }
     } catch (error) {
       setOptimization({
@@ -77,7 +72,10 @@ function App() {
       const { generateDemoOptimizationResult, simulateOptimizationProgress } = demoModule;
 
       // Simulate the optimization process
-      simulateOptimizationProgress((status) => {
+      const stopProgress = simulateOptimizationProgress((status) => {
+        if (status.event) {
+          setAgentLogs(prev => [...prev, { ...status.event, timestamp: new Date().toISOString() }]);
+        }
         setOptimization(prev => ({
           ...prev,
           status: status.status,
@@ -89,7 +87,7 @@ function App() {
       });
 
       // Generate demo results after simulation completes
-      setTimeout(() => {
+      const resultsTimer = setTimeout(() => {
         try {
           const demoResults = generateDemoOptimizationResult(queries);
           console.log('App: Demo results generated:', demoResults);
@@ -105,6 +103,7 @@ function App() {
           console.log('App: Setting optimization state:', optimizationState);
           setOptimization(optimizationState);
           setIsRunning(false);
+          cancelRun.current = null;
           
           // Show success notification
           const improvement = Math.abs(demoResults.comparison?.improvement?.percentage || 25);
@@ -125,6 +124,18 @@ function App() {
           setIsRunning(false);
         }
       }, 8000); // Total demo time: 8 seconds
+
+      cancelRun.current = async () => {
+        stopProgress();
+        clearTimeout(resultsTimer);
+        return {
+          status: 'cancelled',
+          startTime,
+          endTime: new Date().toISOString(),
+          results: null,
+          error: 'Optimization cancelled'
+        };
+      };
     } catch (error) {
       setOptimization({
         status: 'failed',
@@ -138,61 +149,144 @@ function App() {
   };
 
   const runLiveOptimization = async (queries, options) => {
-    try {
-      const response = await fetch('/api/optimize', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ queries, tableName: options.tableName || options }),
-      });
+    const response = await fetch('/api/optimize', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        // Queries with a call frequency go as { query, callsPerHour } so the server weights them
+        queries: options.callsPerHour
+          ? queries.map((query, i) => ({ query, callsPerHour: options.callsPerHour[i] }))
+          : queries,
+        tableName: options.tableName || undefined,
+        options: { strategies: options.strategies, baseline: options.baseline }
+      }),
+    });
+
+    if (!response.ok) {
+      // The server explains refusals (rejected query, full queue, no database) as { error, code }
+      const body = await response.json().catch(() => ({}));
+      const reason = body.error || `Server responded with ${response.status}: ${response.statusText}`;
+      throw new Error(body.code ? `${reason} (${body.code})` : reason);
+    }
 
-      if (!response.ok) {
-        throw new Error(`Server responded with ${response.status}: ${response.statusText}`);
-      }
+    const { jobId } = await response.json();
 
-      const { jobId } = await response.json();
-      
-      // Poll for results
-      const pollInterval = setInterval(async () => {
-        try {
-          const statusResponse = await fetch(`/api/optimize/${jobId}`);
-          
-          if (!statusResponse.ok) {
-            throw new Error('Status check failed');
-          }
-          
-          const status = await statusResponse.json();
-
-          if (status.status === 'completed') {
-            setOptimization(status);
-            setIsRunning(false);
-            clearInterval(pollInterval);
-          } else if (status.status === 'failed') {
-            setOptimization(status);
-            setIsRunning(false);
-            clearInterval(pollInterval);
-          }
-        } catch (error) {
-          // Fallback to demo mode if backend fails
-          setDemoMode(true);
-          clearInterval(pollInterval);
-          await runDemoOptimization(queries, options);
-        }
-      }, 2000);
+    // Stream status snapshots and agent events until the job finishes
+    const events = new EventSource(`/api/optimize/${jobId}/events`);
 
-      // Cleanup after 5 minutes
-      setTimeout(() => {
-        clearInterval(pollInterval);
-        if (isRunning) {
-          setIsRunning(false);
+    // The last status seen tells a finished job's `end` apart from one for a job another server process runs
+    let lastStatus = null;
+    let pollTimer = null;
+    let stopped = false;
+
+    const applyStatus = (status) => {
+      lastStatus = status;
+      // Reflect the orchestrator's current step (generating_strategies, creating_forks, ...)
+      setOptimization(status);
+
+      if (FINISHED_STATUSES.includes(status.status)) {
+        setIsRunning(false);
+        cancelRun.current = null;
+      }
+    };
+
+    // Nothing is streamed for a job run by another server process, so its status is polled until it finishes
+    const pollStatus = async () => {
+      try {
+        const statusResponse = await fetch(`/api/optimize/${jobId}`);
+        const body = await statusResponse.json();
+        if (!statusResponse.ok) {
+          throw new Error(body.error || `Server responded with ${statusResponse.status}`);
         }
-      }, 300000);
+        if (stopped) return;
+        applyStatus(body);
+      } catch (error) {
+        if (stopped) return;
+        const message = `Could not get the status of job ${jobId}: ${error.message}`;
+        setOptimization(prev => ({ ...prev, error: message }));
+        setIsRunning(false);
+        cancelRun.current = null;
+        setNotification({
+          type: 'error',
+          title: 'Status Unavailable',
+          message,
+          duration: 5000
+        });
+        return;
+      }
+      if (!FINISHED_STATUSES.includes(lastStatus.status)) {
+        pollTimer = setTimeout(pollStatus, STATUS_POLL_INTERVAL_MS);
+      }
+    };
+
+    events.addEventListener('status', (message) => applyStatus(JSON.parse(message.data)));
+
+    events.addEventListener('agent', (message) => {
+      const event = JSON.parse(message.data);
+      setAgentLogs(prev => [...prev, event]);
+    });
+
+    events.addEventListener('end', () => {
+      events.close();
+      if (!FINISHED_STATUSES.includes(lastStatus?.status)) {
+        pollTimer = setTimeout(pollStatus, STATUS_POLL_INTERVAL_MS);
+      }
+    });
+
+    events.onerror = () => {
+      // EventSource retries dropped connections itself; CLOSED means the server refused the stream
+      if (events.readyState === EventSource.CLOSED) {
+        const message = `Lost the status stream for job ${jobId}; it may still be running on the server`;
+        setOptimization(prev => ({ ...prev, error: message }));
+        setIsRunning(false);
+        cancelRun.current = null;
+        setNotification({
+          type: 'error',
+          title: 'Status Unavailable',
+          message,
+          duration: 5000
+        });
+      }
+    };
+
+    cancelRun.current = async () => {
+      stopped = true;
+      clearTimeout(pollTimer);
+      const cancelResponse = await fetch(`/api/optimize/${jobId}`, { method: 'DELETE' });
+      const body = await cancelResponse.json();
+
+      if (!cancelResponse.ok) {
+        throw new Error(body.error || `Server responded with ${cancelResponse.status}`);
+      }
+      events.close();
+      return body;
+    };
+  };
+
+  const handleCancel = async () => {
+    if (!cancelRun.current) return;
 
+    try {
+      const cancelled = await cancelRun.current();
+      setOptimization(cancelled);
+      setNotification({
+        type: 'info',
+        title: 'Optimization Cancelled',
+        message: 'Forks and test indexes have been cleaned up',
+        duration: 4000
+      });
     } catch (error) {
-      // Fallback to demo mode
-      setDemoMode(true);
-      await runDemoOptimization(queries, options);
+      setNotification({
+        type: 'error',
+        title: 'Cancellation Failed',
+        message: error.message,
+        duration: 5000
+      });
+    } finally {
+      cancelRun.current = null;
+      setIsRunning(false);
     }
   };
 
@@ -285,6 +379,7 @@ function App() {
                 <StatusIndicator
                   isRunning={isRunning}
                   optimization={optimization}
+                  onCancel={handleCancel}
                 />
               </div>
 
@@ -1,40 +1,8 @@
-import { useEffect, useState } from 'react';
 import { Bot, Brain, Database, CheckCircle, AlertCircle, Clock } from 'lucide-react';
 
+// logs are agent events from the job's SSE stream: { id, agent, type, status, message, strategy?, timestamp }
 function AgentActivity({ logs, isRunning }) {
-  const [activityLogs, setActivityLogs] = useState([]);
-
-  useEffect(() => {
-    if (isRunning) {
-      // Clear previous logs when starting new optimization
-      setActivityLogs([]);
-      
-      // Simulate agent activity logs
-      const simulatedLogs = [
-        { agent: 'Orchestrator', action: 'Initializing optimization workflow', status: 'completed', timestamp: Date.now() - 5000 },
-        { agent: 'Index-Tuner', action: 'Analyzing query patterns', status: 'completed', timestamp: Date.now() - 4000 },
-        { agent: 'Index-Tuner', action: 'Generating strategy A: Single-column indexes', status: 'completed', timestamp: Date.now() - 3000 },
-        { agent: 'Index-Tuner', action: 'Generating strategy B: Composite indexes', status: 'completed', timestamp: Date.now() - 2000 },
-        { agent: 'Orchestrator', action: 'Creating zero-copy fork: strategy-a', status: 'running', timestamp: Date.now() - 1000 },
-        { agent: 'Orchestrator', action: 'Creating zero-copy fork: strategy-b', status: 'pending', timestamp: Date.now() },
-      ];
-
-      let currentIndex = 0;
-      const interval = setInterval(() => {
-        if (currentIndex < simulatedLogs.length) {
-          const logEntry = simulatedLogs[currentIndex];
-          if (logEntry && logEntry.agent && logEntry.action) {
-            setActivityLogs(prev => [...prev, logEntry]);
-          }
-          currentIndex++;
-        } else {
-          clearInterval(interval);
-        }
-      }, 1000);
-
-      return () => clearInterval(interval);
-    }
-  }, [isRunning]);
+  const activityLogs = logs || [];
 
   const getAgentIcon = (agent) => {
     switch (agent) {
@@ -72,14 +40,14 @@ function AgentActivity({ logs, isRunning }) {
         </div>
       )}
 
-      {activityLogs.filter(log => log && log.agent && log.action).map((log, index) => {
+      {activityLogs.filter(log => log && log.agent && log.message).map((log, index) => {
         const AgentIcon = getAgentIcon(log.agent);
         const StatusIcon = getStatusIcon(log.status);
         
         return (
           <div 
-            key={index}
-            className="flex items-start gap-3 p-3 bg-gray-50 rounded-lg border-l-4 border-blue-500"
+            key={log.id ?? index}
+            className={`flex items-start gap-3 p-3 bg-gray-50 rounded-lg border-l-4 ${log.status === 'error' ? 'border-red-500' : 'border-blue-500'}`}
           >
             <div className="flex-shrink-0">
               <AgentIcon size={20} className="text-blue-600" />
@@ -89,8 +57,11 @@ function AgentActivity({ logs, isRunning }) {
               <div className="flex items-center gap-2 mb-1">
                 <span className="font-medium text-sm text-gray-900">{log.agent}</span>
                 <StatusIcon size={16} className={getStatusColor(log.status)} />
+                {log.strategy && (
+                  <span className="text-xs px-2 py-0.5 rounded bg-blue-100 text-blue-700">{log.strategy}</span>
+                )}
               </div>
-              <p className="text-sm text-gray-700">{log.action}</p>
+              <p className="text-sm text-gray-700">{log.message}</p>
               <p className="text-xs text-gray-500 mt-1">
                 {log.timestamp ? new Date(log.timestamp).toLocaleTimeString() : 'Now'}
               </p>
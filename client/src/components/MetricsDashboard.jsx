@@ -34,9 +34,8 @@ function MetricsDashboard({ isRunning, results }) {
       setMetrics(prev => ({
         ...prev,
         performanceGain: improvement,
-        forksCreated: 2,
-        indexesGenerated: (results.strategies?.strategyA?.indexes?.length || 0) + 
-                         (results.strategies?.strategyB?.indexes?.length || 0)
+        forksCreated: Object.keys(results.forks || {}).length,
+        indexesGenerated: (results.strategies || []).reduce((sum, s) => sum + (s.indexes?.length || 0), 0)
       }));
     }
   }, [results]);
@@ -65,7 +64,7 @@ function MetricsDashboard({ isRunning, results }) {
       icon: GitBranch,
       label: 'Forks',
       value: metrics.forksCreated,
-      suffix: '/2',
+      suffix: '',
       color: 'text-purple-600',
       bgColor: 'bg-purple-50',
       borderColor: 'border-purple-200'
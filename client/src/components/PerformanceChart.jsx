@@ -1,37 +1,33 @@
 
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
 
-function PerformanceChart({ strategyA, strategyB }) {
-  // Add safety checks for strategy data
-  const safeStrategyA = strategyA || { name: 'Strategy A', avgExecutionTime: 0, queries: 0 };
-  const safeStrategyB = strategyB || { name: 'Strategy B', avgExecutionTime: 0, queries: 0 };
+function PerformanceChart({ leaderboard, baseline }) {
+  // Add safety checks for leaderboard data
+  const entries = Array.isArray(leaderboard) ? leaderboard : [];
 
   // Shorten strategy names for better display
   const shortenName = (name) => {
     if (!name) return 'Unknown';
-    if (name.includes('Basic') || name.toLowerCase().includes('single')) return 'Strategy A: Basic';
-    if (name.includes('Advanced') || name.toLowerCase().includes('composite')) return 'Strategy B: Advanced';
     return name.length > 25 ? name.substring(0, 22) + '...' : name;
   };
 
-  const data = [
-    {
-      name: shortenName(safeStrategyA.name),
-      fullName: safeStrategyA.name || 'Strategy A',
-      executionTime: parseFloat(safeStrategyA.avgExecutionTime) || 0,
-      queries: parseInt(safeStrategyA.queries) || 0
-    },
-    {
-      name: shortenName(safeStrategyB.name),
-      fullName: safeStrategyB.name || 'Strategy B',
-      executionTime: parseFloat(safeStrategyB.avgExecutionTime) || 0,
-      queries: parseInt(safeStrategyB.queries) || 0
-    }
-  ];
+  // Ranked order, fastest first
+  const data = entries.map(entry => ({
+    name: shortenName(entry.name),
+    fullName: entry.name || entry.strategy,
+    strategy: entry.strategy,
+    rank: entry.rank,
+    executionTime: parseFloat(entry.avgExecutionTime) || 0,
+    improvementVsBaseline: entry.improvementVsBaseline,
+    queries: parseInt(entry.queries) || 0
+  }));
 
-  // Determine which strategy is better (lower execution time)
-  const betterStrategy = (safeStrategyA.avgExecutionTime || 0) < (safeStrategyB.avgExecutionTime || 0) ? 0 : 1;
-  const colors = ['#ef4444', '#10b981']; // red for worse, green for better
+  // green for the winner, gray for the baseline, red for the rest
+  const colorFor = (entry, index) => {
+    if (index === 0) return { fill: '#10b981', background: '#dcfce7', text: '#047857', label: '✓ Fastest' };
+    if (entry.strategy === baseline) return { fill: '#9ca3af', background: '#f3f4f6', text: '#374151', label: 'Baseline' };
+    return { fill: '#ef4444', background: '#fee2e2', text: '#991b1b', label: `#${entry.rank}` };
+  };
 
   const CustomTooltip = ({ active, payload }) => {
     if (active && payload && payload.length) {
@@ -42,6 +38,11 @@ function PerformanceChart({ strategyA, strategyB }) {
           <p className="text-blue-600 font-medium mt-2">
             Avg Execution Time: <strong>{data.executionTime.toFixed(2)}ms</strong>
           </p>
+          {data.strategy !== baseline && typeof data.improvementVsBaseline === 'number' && (
+            <p className="text-gray-600 text-sm mt-1">
+              vs Baseline: {Math.abs(data.improvementVsBaseline).toFixed(1)}% {data.improvementVsBaseline >= 0 ? 'faster' : 'slower'}
+            </p>
+          )}
           <p className="text-gray-600 text-sm mt-1">
             Queries Tested: {data.queries}
           </p>
@@ -96,7 +97,7 @@ function PerformanceChart({ strategyA, strategyB }) {
               {data.map((entry, index) => (
                 <Cell
                   key={`cell-${index}`}
-                  fill={index === betterStrategy ? colors[1] : colors[0]}
+                  fill={colorFor(entry, index).fill}
                 />
               ))}
             </Bar>
@@ -104,25 +105,25 @@ function PerformanceChart({ strategyA, strategyB }) {
         </ResponsiveContainer>
 
         {/* Bar-aligned labels in horizontal row */}
-        <div className="flex justify-center mt-6 px-8" style={{ gap: '80px' }}>
-          {data.map((entry, index) => (
-            <div key={index} className="flex items-center justify-center gap-2 py-2.5 px-5 rounded-lg shadow-sm" style={{
-              backgroundColor: index === betterStrategy ? '#dcfce7' : '#fee2e2',
-              border: `2px solid ${index === betterStrategy ? '#10b981' : '#ef4444'}`,
-              minWidth: '200px',
-              flex: '0 0 auto'
-            }}>
-              <div
-                className="w-3 h-3 rounded-full flex-shrink-0"
-                style={{ backgroundColor: index === betterStrategy ? '#10b981' : '#ef4444' }}
-              />
-              <span className="font-semibold text-sm whitespace-nowrap" style={{
-                color: index === betterStrategy ? '#047857' : '#991b1b'
+        <div className="flex justify-center flex-wrap mt-6 px-8" style={{ gap: '16px' }}>
+          {data.map((entry, index) => {
+            const color = colorFor(entry, index);
+            return (
+              <div key={entry.strategy} className="flex items-center justify-center gap-2 py-2.5 px-5 rounded-lg shadow-sm" style={{
+                backgroundColor: color.background,
+                border: `2px solid ${color.fill}`,
+                flex: '0 0 auto'
               }}>
-                {index === betterStrategy ? '✓ Better Performance' : '✗ Slower Performance'}
-              </span>
-            </div>
-          ))}
+                <div
+                  className="w-3 h-3 rounded-full flex-shrink-0"
+                  style={{ backgroundColor: color.fill }}
+                />
+                <span className="font-semibold text-sm whitespace-nowrap" style={{ color: color.text }}>
+                  {color.label}: {entry.name}
+                </span>
+              </div>
+            );
+          })}
         </div>
       </div>
     </div>
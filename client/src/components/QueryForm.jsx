@@ -1,5 +1,6 @@
 import { useState } from 'react';
-import { Play, Settings, Search, Zap, Database, Brain } from 'lucide-react';
+import { Play, Settings, Search, Zap, Database, Brain, Upload } from 'lucide-react';
+import { parseWorkload, formatWorkload, importWorkload } from '../utils/workload';
 
 const SAMPLE_QUERIES = [
   "SELECT * FROM users WHERE email = 'user@example.com' ORDER BY created_at DESC;",
@@ -7,34 +8,75 @@ const SAMPLE_QUERIES = [
   "SELECT u.name, COUNT(o.id) as order_count FROM users u LEFT JOIN orders o ON u.id = o.user_id GROUP BY u.id, u.name ORDER BY order_count DESC;"
 ];
 
+const STRATEGY_OPTIONS = [
+  { id: 'baseline', label: 'Baseline', description: 'Existing indexes only' },
+  { id: 'single-column', label: 'Single-Column', description: 'One B-tree per filtered column' },
+  { id: 'composite', label: 'Composite', description: 'Multi-column WHERE + ORDER BY indexes' },
+  { id: 'partial', label: 'Partial', description: 'Indexes restricted to filtered rows' },
+  { id: 'covering', label: 'Covering', description: 'INCLUDE columns for index-only scans' },
+  { id: 'gin', label: 'GIN', description: 'Trigram, full-text, jsonb and array indexes' },
+  { id: 'brin', label: 'BRIN', description: 'Tiny block-range indexes for append-only data' },
+  { id: 'consolidate', label: 'Consolidate', description: 'Drop existing indexes a wider one already serves' }
+];
+
 function QueryForm({ onSubmit, isRunning, onAdvancedToggle, showAdvanced }) {
   const [queries, setQueries] = useState('');
-  const [tableName, setTableName] = useState('users');
+  const [tableName, setTableName] = useState('');
   const [useHybridSearch, setUseHybridSearch] = useState(true);
   const [optimizationLevel, setOptimizationLevel] = useState('balanced');
   const [includePartialIndexes, setIncludePartialIndexes] = useState(true);
+  const [selectedStrategies, setSelectedStrategies] = useState(['baseline', 'single-column', 'composite']);
+  const [baseline, setBaseline] = useState('baseline');
+
+  const toggleStrategy = (id) => {
+    setSelectedStrategies(prev => {
+      const next = prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id];
+      // Keep the baseline pointing at a strategy that will actually run
+      if (!next.includes(baseline) && next.length > 0) {
+        setBaseline(next[0]);
+      }
+      return next;
+    });
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
     
-    const queryList = queries
-      .split('\n')
-      .map(q => q.trim())
-      .filter(q => q && !q.startsWith('--'));
+    const { queries: queryList, callsPerHour } = parseWorkload(queries);
 
     if (queryList.length === 0) {
       alert('Please enter at least one SQL query');
       return;
     }
 
+    if (selectedStrategies.length < 2) {
+      alert('Please select at least two strategies to compare');
+      return;
+    }
+
     onSubmit(queryList, {
       tableName,
       useHybridSearch,
       optimizationLevel,
-      includePartialIndexes
+      includePartialIndexes,
+      strategies: selectedStrategies,
+      baseline,
+      callsPerHour
     });
   };
 
+  // Replaces the query box with the file's queries, frequencies as trailing comments
+  const importWorkloadFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setQueries(formatWorkload(importWorkload(await file.text(), file.name)));
+    } catch (error) {
+      alert(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
+
   const loadSampleQueries = () => {
     setQueries(SAMPLE_QUERIES.join('\n\n'));
     setTableName('users');
@@ -59,7 +101,7 @@ function QueryForm({ onSubmit, isRunning, onAdvancedToggle, showAdvanced }) {
     <form onSubmit={handleSubmit}>
       <div className="form-group">
         <label htmlFor="tableName">
-          Primary Table Name
+          Primary Table Name (optional)
         </label>
         <input
           id="tableName"
@@ -67,11 +109,10 @@ function QueryForm({ onSubmit, isRunning, onAdvancedToggle, showAdvanced }) {
           value={tableName}
           onChange={(e) => setTableName(e.target.value)}
           placeholder="e.g., users, orders, products"
-          required
           disabled={isRunning}
         />
         <small className="text-gray-600 mt-1 block">
-          The main table that will be analyzed for index optimization
+          Every table the queries touch is analyzed; leave empty unless one table should come first
         </small>
       </div>
 
@@ -90,6 +131,7 @@ function QueryForm({ onSubmit, isRunning, onAdvancedToggle, showAdvanced }) {
         />
         <small className="text-gray-600 mt-1 block">
           Enter the queries you want to optimize. Each query should be on a separate line.
+          Add how often a query runs as a trailing comment, e.g. <code>-- 600/h</code>, to weight it by calls per hour.
         </small>
       </div>
 
@@ -196,6 +238,48 @@ function QueryForm({ onSubmit, isRunning, onAdvancedToggle, showAdvanced }) {
               </div>
             </div>
 
+            {/* Competing Strategies */}
+            <div className="advanced-option-card optimization-level full-width">
+              <div className="option-header">
+                <Database size={20} className="option-icon" />
+                <div className="option-info">
+                  <h5>Competing Strategies</h5>
+                  <p>Each selected strategy gets its own fork</p>
+                </div>
+              </div>
+              <div className="optimization-selector">
+                <div className="selector-options">
+                  {STRATEGY_OPTIONS.map((option) => (
+                    <label key={option.id} className={`selector-option ${selectedStrategies.includes(option.id) ? 'selected' : ''}`}>
+                      <input
+                        type="checkbox"
+                        checked={selectedStrategies.includes(option.id)}
+                        onChange={() => toggleStrategy(option.id)}
+                        disabled={isRunning}
+                      />
+                      <div className="option-content">
+                        <div className="option-name">{option.label}</div>
+                        <div className="option-desc">{option.description}</div>
+                      </div>
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="option-description">
+                Improvements are measured against
+                <select
+                  value={baseline}
+                  onChange={(e) => setBaseline(e.target.value)}
+                  disabled={isRunning}
+                  className="ml-2"
+                >
+                  {STRATEGY_OPTIONS.filter(option => selectedStrategies.includes(option.id)).map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
             {/* Additional Features */}
             <div className="advanced-option-card additional-features">
               <div className="option-header">
@@ -210,8 +294,9 @@ function QueryForm({ onSubmit, isRunning, onAdvancedToggle, showAdvanced }) {
                   <div className="main-db">Main DB</div>
                   <div className="fork-arrow">→</div>
                   <div className="fork-containers">
-                    <div className="fork-item">Fork A</div>
-                    <div className="fork-item">Fork B</div>
+                    {selectedStrategies.map(id => (
+                      <div key={id} className="fork-item">{STRATEGY_OPTIONS.find(o => o.id === id)?.label}</div>
+                    ))}
                   </div>
                 </div>
               </div>
@@ -299,6 +384,27 @@ function QueryForm({ onSubmit, isRunning, onAdvancedToggle, showAdvanced }) {
         >
           Load Sample Queries
         </button>
+
+        <label
+          className="btn"
+          style={{
+            background: '#f3f4f6',
+            color: '#374151',
+            border: '1px solid #d1d5db',
+            cursor: isRunning ? 'not-allowed' : 'pointer'
+          }}
+          title="JSON or CSV with query and calls_per_hour fields, e.g. a pg_stat_statements export"
+        >
+          <Upload size={18} />
+          Import Workload
+          <input
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            onChange={importWorkloadFile}
+            disabled={isRunning}
+            className="sr-only"
+          />
+        </label>
       </div>
 
       {isRunning && (
@@ -14,25 +14,76 @@ function ResultsDisplay({ results }) {
     );
   }
 
-  const { strategies = {}, performance = {}, comparison = {}, recommendation = {} } = results;
+  const { strategies = [], performance = {}, comparison = {}, recommendation = {}, indexResults = {}, whatIf = null } = results;
 
   // Debug logging
   console.log('ResultsDisplay received:', {
-    hasStrategies: !!strategies,
-    strategyAIndexes: strategies?.strategyA?.indexes?.length,
-    strategyBIndexes: strategies?.strategyB?.indexes?.length,
+    strategies: strategies?.map?.(s => s.id),
     comparisonData: comparison,
     hasRecommendation: !!recommendation
   });
 
-  const getWinnerStrategy = () => {
-    return comparison?.improvement?.faster || 'strategyA';
+  const leaderboard = comparison?.leaderboard || [];
+  const baselineId = comparison?.baseline;
+  const winnerId = comparison?.winner;
+  // Queries carried calls per hour: rank on the call-weighted mean and report time saved per hour
+  const weighted = Boolean(comparison?.weighted);
+
+  const getStrategy = (id) => (strategies || []).find(s => s.id === id);
+  const getEntry = (id) => leaderboard.find(entry => entry.strategy === id);
+
+  // Index Only Scans across a strategy's measured queries, with the heap fetches they still needed
+  const getIndexOnlyScans = (id) => {
+    const scans = (performance?.[id] || []).flatMap(result => result.metrics?.indexOnlyScans || []);
+    return { count: scans.length, heapFetches: scans.reduce((sum, scan) => sum + scan.heapFetches, 0) };
+  };
+
+  // Measured on-disk size of a strategy's created indexes (null when none was measured)
+  const getIndexBytes = (id) => {
+    const sizes = (indexResults?.[id] || []).map(result => result.sizeBytes).filter(size => typeof size === 'number');
+    return sizes.length > 0 ? sizes.reduce((sum, size) => sum + size, 0) : null;
+  };
+  // Planner estimate from the what-if screening (hypothetical indexes) next to the measured improvement
+  const getWhatIf = (id) => whatIf?.strategies?.find(estimate => estimate.strategy === id);
+  const prunedStrategies = (whatIf?.strategies || []).filter(estimate => estimate.pruned);
+  const formatEstimate = (pct) => typeof pct === 'number' ? `${pct.toFixed(1)}%` : '—';
+
+  const isBrin = (strategy) => (strategy.indexes || []).some(index => index.type === 'brin');
+
+  // What BRIN is traded against: the fastest measured strategy that builds other indexes
+  const getBrinComparison = (strategy) => {
+    const alternative = leaderboard
+      .map(entry => getStrategy(entry.strategy))
+      .find(other => other && other.id !== strategy.id && !isBrin(other) && getIndexBytes(other.id) !== null);
+    return alternative && { strategy: alternative, entry: getEntry(alternative.id), bytes: getIndexBytes(alternative.id) };
+  };
+
+  // Strategy cards follow the leaderboard; strategies without measurements go last
+  const rankedStrategies = [...(strategies || [])].sort((a, b) =>
+    (getEntry(a.id)?.rank ?? Infinity) - (getEntry(b.id)?.rank ?? Infinity)
+  );
+  const recommendedStrategy = getStrategy(recommendation?.strategy);
+
+  const formatImprovement = (pct) => {
+    if (typeof pct !== 'number') return '—';
+    return `${Math.abs(pct).toFixed(1)}% ${pct >= 0 ? 'faster' : 'slower'}`;
   };
 
   const formatTime = (ms) => {
     return `${ms.toFixed(2)}ms`;
   };
 
+  const formatPerHour = (ms) => {
+    if (typeof ms !== 'number') return '—';
+    const seconds = ms / 1000;
+    return `${seconds < 0 ? '-' : ''}${Math.abs(seconds) >= 60 ? `${(Math.abs(seconds) / 60).toFixed(1)} min` : `${Math.abs(seconds).toFixed(1)} s`}/h`;
+  };
+
+  const formatBytes = (bytes) => {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} kB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  };
+
   const formatPercentage = (pct) => {
     return `${Math.abs(pct).toFixed(1)}%`;
   };
@@ -46,8 +97,32 @@ function ResultsDisplay({ results }) {
     }
   };
 
+  const failedStrategies = Object.entries(results.failures || {});
+
   return (
     <div className="space-y-6">
+      {failedStrategies.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <h4 className="font-semibold text-red-800 mb-2">Some strategies could not be tested</h4>
+          {failedStrategies.map(([key, message]) => (
+            <p key={key} className="text-sm text-red-700">
+              <strong>{getStrategy(key)?.name || key}:</strong> {message}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {prunedStrategies.length > 0 && (
+        <div className="bg-gray-50 border rounded-lg p-4">
+          <h4 className="font-semibold mb-2">Pruned by what-if screening</h4>
+          {prunedStrategies.map(estimate => (
+            <p key={estimate.strategy} className="text-sm text-gray-600">
+              <strong>{estimate.strategy}:</strong> estimated {formatEstimate(estimate.estimatedImprovement)} lower cost, not forked
+            </p>
+          ))}
+        </div>
+      )}
+
       {/* Performance Comparison Chart */}
       <div className="card">
         <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
@@ -55,127 +130,229 @@ function ResultsDisplay({ results }) {
           Performance Comparison
         </h2>
         <p className="text-sm text-gray-600 mb-4">
-          Visual comparison shows {comparison?.improvement?.faster === 'strategyB' ? 'Strategy B' : 'Strategy A'} ({comparison?.improvement?.faster === 'strategyB' ? 'composite indexes' : 'single-column indexes'}) outperforming {comparison?.improvement?.faster === 'strategyB' ? 'Strategy A' : 'Strategy B'} ({comparison?.improvement?.faster === 'strategyB' ? 'single-column indexes' : 'composite indexes'}) by {Math.abs(comparison?.improvement?.percentage || 0).toFixed(1)}%.
+          {getEntry(winnerId)?.name || 'The winning strategy'} ranks first of {leaderboard.length} strategies
+          {winnerId !== baselineId && getEntry(baselineId) && (
+            <>, {Math.abs(comparison?.improvement?.percentage || 0).toFixed(1)}% faster than the baseline ({getEntry(baselineId).name})</>
+          )}
+          {weighted && winnerId !== baselineId && (
+            <> and saves {formatPerHour(comparison?.improvement?.timeSavedPerHour)} of query time at the given call frequencies</>
+          )}.
         </p>
         <PerformanceChart
-          strategyA={comparison?.strategyA}
-          strategyB={comparison?.strategyB}
+          leaderboard={leaderboard}
+          baseline={baselineId}
         />
       </div>
 
+      {/* Leaderboard */}
+      <div className="card">
+        <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
+          <Trophy size={24} className="text-yellow-600" />
+          Strategy Leaderboard
+        </h2>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-4">Rank</th>
+                <th className="py-2 pr-4">Strategy</th>
+                <th className="py-2 pr-4">{weighted ? 'Weighted Avg Time' : 'Avg Execution Time'}</th>
+                <th className="py-2 pr-4">vs Baseline</th>
+                {weighted && <th className="py-2 pr-4">Time Saved</th>}
+                <th className="py-2 pr-4">Indexes</th>
+                <th className="py-2 pr-4">Estimated Size</th>
+                <th className="py-2 pr-4">Queries</th>
+              </tr>
+            </thead>
+            <tbody>
+              {leaderboard.map(entry => (
+                <tr key={entry.strategy} className={`border-b ${entry.strategy === winnerId ? 'bg-green-50 font-semibold' : ''}`}>
+                  <td className="py-2 pr-4">#{entry.rank}</td>
+                  <td className="py-2 pr-4">
+                    {entry.name}
+                    {entry.strategy === baselineId && <span className="ml-2 text-xs text-gray-500">(baseline)</span>}
+                  </td>
+                  <td className="py-2 pr-4">{formatTime((weighted ? entry.weightedAvgExecutionTime : entry.avgExecutionTime) || 0)}</td>
+                  <td className="py-2 pr-4">{entry.strategy === baselineId ? '—' : formatImprovement(entry.improvementVsBaseline)}</td>
+                  {weighted && <td className="py-2 pr-4">{entry.strategy === baselineId ? '—' : formatPerHour(entry.timeSavedPerHour)}</td>}
+                  <td className="py-2 pr-4">{entry.indexes}</td>
+                  <td className="py-2 pr-4">{typeof entry.estimatedBytes === 'number' ? formatBytes(entry.estimatedBytes) : '—'}</td>
+                  <td className="py-2 pr-4">
+                    {entry.queries}
+                    {entry.failedQueries > 0 && <span className="text-red-600"> ({entry.failedQueries} failed)</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Pairwise improvement matrix: how much faster the row strategy is than the column strategy */}
+        {leaderboard.length > 2 && comparison?.matrix && (
+          <div className="mt-6 overflow-x-auto">
+            <h4 className="font-semibold mb-2">Pairwise Improvement (row vs column)</h4>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2 pr-4"></th>
+                  {leaderboard.map(col => (
+                    <th key={col.strategy} className="py-2 pr-4">{col.name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {leaderboard.map(row => (
+                  <tr key={row.strategy} className="border-b">
+                    <td className="py-2 pr-4 font-medium">{row.name}</td>
+                    {leaderboard.map(col => {
+                      const pct = comparison.matrix[row.strategy]?.[col.strategy];
+                      return (
+                        <td key={col.strategy} className={`py-2 pr-4 ${pct > 0 ? 'text-green-700' : pct < 0 ? 'text-red-700' : 'text-gray-400'}`}>
+                          {row.strategy === col.strategy ? '—' : formatImprovement(pct)}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
       {/* Strategy Comparison */}
       <div className="results-grid">
-        <div className={`strategy-card ${getWinnerStrategy() === 'strategyA' ? 'winner' : ''}`}>
-          <div className="strategy-title">
-            <Database size={20} />
-            Strategy A: {strategies?.strategyA?.name || 'Basic Strategy'}
-            {getWinnerStrategy() === 'strategyA' ? (
-              <span className="winner-badge">
-                <Trophy size={14} className="inline mr-1" />
-                Better Performance
-              </span>
-            ) : (
-              <span style={{
-                background: '#fef3c7',
-                color: '#92400e',
-                padding: '4px 12px',
-                borderRadius: '12px',
-                fontSize: '12px',
-                fontWeight: '600',
-                marginLeft: 'auto'
-              }}>
-                Slower Performance
-              </span>
-            )}
-          </div>
-          
-          <div className="space-y-2">
-            <div className="metric">
-              <span className="metric-label">Avg Execution Time:</span>
-              <span className="metric-value">{formatTime(comparison?.strategyA?.avgExecutionTime || 0)}</span>
-            </div>
-            <div className="metric">
-              <span className="metric-label">Queries Tested:</span>
-              <span className="metric-value">{comparison?.strategyA?.queries || 0}</span>
-            </div>
-            <div className="metric">
-              <span className="metric-label">Indexes Created:</span>
-              <span className="metric-value">{strategies?.strategyA?.indexes?.length || 0}</span>
-            </div>
-            <div className="metric">
-              <span className="metric-label">Estimated Size:</span>
-              <span className="metric-value">{strategies?.strategyA?.estimatedSize || 0}MB</span>
-            </div>
-          </div>
+        {rankedStrategies.map(strategy => {
+          const entry = getEntry(strategy.id);
+          const isWinner = strategy.id === winnerId;
+          const indexOnlyScans = getIndexOnlyScans(strategy.id);
+          const indexBytes = getIndexBytes(strategy.id);
+          const brinComparison = isBrin(strategy) && indexBytes !== null ? getBrinComparison(strategy) : null;
+          const estimate = getWhatIf(strategy.id);
+
+          return (
+            <div key={strategy.id} className={`strategy-card ${isWinner ? 'winner' : ''}`}>
+              <div className="strategy-title">
+                <Database size={20} />
+                {strategy.name}
+                {isWinner ? (
+                  <span className="winner-badge">
+                    <Trophy size={14} className="inline mr-1" />
+                    Fastest
+                  </span>
+                ) : (
+                  <span style={{
+                    background: '#fef3c7',
+                    color: '#92400e',
+                    padding: '4px 12px',
+                    borderRadius: '12px',
+                    fontSize: '12px',
+                    fontWeight: '600',
+                    marginLeft: 'auto'
+                  }}>
+                    {strategy.id === baselineId ? 'Baseline' : entry ? `Rank #${entry.rank}` : 'Not measured'}
+                  </span>
+                )}
+              </div>
 
-          <div className="mt-4">
-            <h4 className="font-semibold mb-2">Indexes:</h4>
-            <div className="space-y-2">
-              {(strategies?.strategyA?.indexes || []).map((index, i) => (
-                <div key={i} className="text-sm bg-gray-50 p-2 rounded">
-                  <div className="font-medium">{index?.name || 'Index'}</div>
-                  <div className="text-gray-600 text-xs mt-1">{index?.rationale || 'No description'}</div>
+              <div className="space-y-2">
+                <div className="metric">
+                  <span className="metric-label">Avg Execution Time:</span>
+                  <span className="metric-value">{entry ? formatTime(entry.avgExecutionTime || 0) : '—'}</span>
                 </div>
-              ))}
-            </div>
-          </div>
-        </div>
+                <div className="metric">
+                  <span className="metric-label">Queries Tested:</span>
+                  <span className="metric-value">{entry?.queries || 0}</span>
+                </div>
+                <div className="metric">
+                  <span className="metric-label">Indexes Created:</span>
+                  <span className="metric-value">{strategy.indexes?.length || 0}</span>
+                </div>
+                <div className="metric">
+                  <span className="metric-label">Estimated Size:</span>
+                  <span className="metric-value" title="From pg_class.reltuples, pg_stats.avg_width and fillfactor">
+                    {typeof strategy.estimatedBytes === 'number' ? formatBytes(strategy.estimatedBytes) : '—'}
+                  </span>
+                </div>
+                {indexBytes !== null && (
+                  <div className="metric">
+                    <span className="metric-label">Measured Size:</span>
+                    <span className="metric-value" title="pg_relation_size of the created indexes">{formatBytes(indexBytes)}</span>
+                  </div>
+                )}
+                {estimate && (
+                  <div className="metric">
+                    <span className="metric-label">Estimated vs Actual:</span>
+                    <span className="metric-value" title="Planner cost reduction with hypothetical indexes vs measured time reduction">
+                      {formatEstimate(estimate.estimatedImprovement)} / {formatEstimate(estimate.actualImprovement)}
+                    </span>
+                  </div>
+                )}
+                {indexOnlyScans.count > 0 && (
+                  <div className="metric">
+                    <span className="metric-label">Index Only Scans:</span>
+                    <span className="metric-value" title="Heap fetches mean the visibility map is stale - VACUUM the table">
+                      {indexOnlyScans.count} ({indexOnlyScans.heapFetches} heap fetches)
+                    </span>
+                  </div>
+                )}
+              </div>
 
-        <div className={`strategy-card ${getWinnerStrategy() === 'strategyB' ? 'winner' : ''}`}>
-          <div className="strategy-title">
-            <Database size={20} />
-            Strategy B: {strategies?.strategyB?.name || 'Advanced Strategy'}
-            {getWinnerStrategy() === 'strategyB' ? (
-              <span className="winner-badge">
-                <Trophy size={14} className="inline mr-1" />
-                Better Performance
-              </span>
-            ) : (
-              <span style={{
-                background: '#fef3c7',
-                color: '#92400e',
-                padding: '4px 12px',
-                borderRadius: '12px',
-                fontSize: '12px',
-                fontWeight: '600',
-                marginLeft: 'auto'
-              }}>
-                Slower Performance
-              </span>
-            )}
-          </div>
-          
-          <div className="space-y-2">
-            <div className="metric">
-              <span className="metric-label">Avg Execution Time:</span>
-              <span className="metric-value">{formatTime(comparison?.strategyB?.avgExecutionTime || 0)}</span>
-            </div>
-            <div className="metric">
-              <span className="metric-label">Queries Tested:</span>
-              <span className="metric-value">{comparison?.strategyB?.queries || 0}</span>
-            </div>
-            <div className="metric">
-              <span className="metric-label">Indexes Created:</span>
-              <span className="metric-value">{strategies?.strategyB?.indexes?.length || 0}</span>
-            </div>
-            <div className="metric">
-              <span className="metric-label">Estimated Size:</span>
-              <span className="metric-value">{strategies?.strategyB?.estimatedSize || 0}MB</span>
-            </div>
-          </div>
+              {brinComparison && (
+                <div className="mt-3 text-sm bg-blue-50 text-blue-900 p-2 rounded">
+                  BRIN trade-off: {formatBytes(indexBytes)} of index for {entry ? formatTime(entry.avgExecutionTime || 0) : '—'},
+                  vs {formatBytes(brinComparison.bytes)} for {brinComparison.entry ? formatTime(brinComparison.entry.avgExecutionTime || 0) : '—'} with {brinComparison.strategy.name}
+                </div>
+              )}
 
-          <div className="mt-4">
-            <h4 className="font-semibold mb-2">Indexes:</h4>
-            <div className="space-y-2">
-              {(strategies?.strategyB?.indexes || []).map((index, i) => (
-                <div key={i} className="text-sm bg-gray-50 p-2 rounded">
-                  <div className="font-medium">{index?.name || 'Index'}</div>
-                  <div className="text-gray-600 text-xs mt-1">{index?.rationale || 'No description'}</div>
+              <div className="mt-4">
+                <h4 className="font-semibold mb-2">Indexes:</h4>
+                <div className="space-y-2">
+                  {(strategy.indexes || []).length === 0 && (strategy.drops || []).length === 0 && (
+                    <div className="text-sm text-gray-500">No new indexes</div>
+                  )}
+                  {(strategy.indexes || []).map((index, i) => (
+                    <div key={i} className="text-sm bg-gray-50 p-2 rounded">
+                      <div className="font-medium">
+                        {index?.name || 'Index'}
+                        {typeof indexResults?.[strategy.id]?.[i]?.sizeBytes === 'number' && (
+                          <span className="text-gray-500 font-normal"> · {formatBytes(indexResults[strategy.id][i].sizeBytes)}</span>
+                        )}
+                        {typeof index?.estimatedBytes === 'number' && (
+                          <span className="text-gray-500 font-normal"> (estimated {formatBytes(index.estimatedBytes)})</span>
+                        )}
+                      </div>
+                      <div className="text-gray-600 text-xs mt-1">{index?.rationale || 'No description'}</div>
+                      {estimate?.indexes?.[i] && (
+                        <div className="text-gray-500 text-xs mt-1">
+                          {estimate.indexes[i].supported
+                            ? `What-if: ${formatEstimate(estimate.indexes[i].estimatedImprovement)} estimated, ${formatEstimate(estimate.indexes[i].actualImprovement)} measured on the queries using it`
+                            : 'What-if: not simulated'}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                  {(strategy.drops || []).map(drop => (
+                    <div key={drop.name} className="text-sm bg-red-50 p-2 rounded">
+                      <div className="font-medium">
+                        Drop {drop.name}
+                        {typeof drop.sizeBytes === 'number' && (
+                          <span className="text-gray-500 font-normal"> · frees {formatBytes(drop.sizeBytes)}</span>
+                        )}
+                      </div>
+                      <div className="text-gray-600 text-xs mt-1">Existing index, {drop.reason}</div>
+                    </div>
+                  ))}
+                  {(strategy.skippedIndexes || []).map(skipped => (
+                    <div key={skipped.name} className="text-xs text-gray-500">
+                      Skipped {skipped.name}: {skipped.reason}
+                    </div>
+                  ))}
                 </div>
-              ))}
+              </div>
             </div>
-          </div>
-        </div>
+          );
+        })}
       </div>
 
       {/* Recommendation */}
@@ -273,11 +450,16 @@ function ResultsDisplay({ results }) {
             </p>
           )}
 
-          {recommendation?.hybridSearchInsights && (
+          {/* Canned examples: only simulated results carry them, and they say so */}
+          {results.executionMode === 'simulated' && recommendation?.hybridSearchInsights && (
             <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
               <h5 className="font-semibold text-blue-900 mb-3 flex items-center gap-2">
                 🔍 Hybrid Search Insights (pg_textsearch + pgvector)
+                <span className="text-xs bg-yellow-200 text-yellow-900 px-2 py-1 rounded">Simulated</span>
               </h5>
+              <p className="text-xs text-blue-700 mb-3">
+                Illustrative examples - not derived from this workload or any measurement.
+              </p>
               
               <div className="space-y-3">
                 <div>
@@ -314,7 +496,7 @@ function ResultsDisplay({ results }) {
             <div className="bg-green-50 border border-green-200 rounded p-4 mt-3">
               <p className="text-green-800 font-semibold mb-3 flex items-center gap-2">
                 <Trophy size={16} />
-                Recommended Action: Apply {recommendation?.strategy === 'strategyA' ? 'Strategy A' : 'Strategy B'} to production
+                Recommended Action: Apply {recommendedStrategy?.name || recommendation?.strategy} to production
               </p>
 
               {/* SQL Commands to Apply */}
@@ -323,8 +505,7 @@ function ResultsDisplay({ results }) {
                   <h5 className="font-semibold text-green-900">SQL Commands to Apply:</h5>
                   <button
                     onClick={() => {
-                      const winningStrategy = recommendation?.strategy === 'strategyA' ? strategies?.strategyA : strategies?.strategyB;
-                      const sqlCommands = winningStrategy?.indexes?.map(idx => idx.sql).join('\n\n') || '';
+                      const sqlCommands = recommendedStrategy?.indexes?.map(idx => idx.sql).join('\n\n') || '';
                       navigator.clipboard.writeText(sqlCommands);
                       alert('SQL copied to clipboard!');
                     }}
@@ -348,7 +529,7 @@ function ResultsDisplay({ results }) {
                 </div>
                 <div className="bg-white border border-green-300 rounded p-3 text-sm font-mono overflow-x-auto">
                   <pre className="text-green-900">
-{(recommendation?.strategy === 'strategyA' ? strategies?.strategyA : strategies?.strategyB)?.indexes?.map((idx) => (
+{recommendedStrategy?.indexes?.map((idx) => (
   `-- ${idx.name}\n${idx.sql || `CREATE INDEX ${idx.name} ON ${idx.table || 'table_name'}(${idx.columns?.join(', ') || 'column'});`}`
 )).join('\n\n') || 'No SQL available'}
                   </pre>
@@ -421,23 +602,16 @@ function ResultsDisplay({ results }) {
         </summary>
         
         <div className="space-y-4">
-          <div>
-            <h4 className="font-semibold mb-2">Strategy A Performance Details:</h4>
-            <div className="bg-gray-50 p-3 rounded text-sm">
-              <pre className="whitespace-pre-wrap">
-                {JSON.stringify(performance.strategyA, null, 2)}
-              </pre>
-            </div>
-          </div>
-          
-          <div>
-            <h4 className="font-semibold mb-2">Strategy B Performance Details:</h4>
-            <div className="bg-gray-50 p-3 rounded text-sm">
-              <pre className="whitespace-pre-wrap">
-                {JSON.stringify(performance.strategyB, null, 2)}
-              </pre>
+          {rankedStrategies.map(strategy => (
+            <div key={strategy.id}>
+              <h4 className="font-semibold mb-2">{strategy.name} Performance Details:</h4>
+              <div className="bg-gray-50 p-3 rounded text-sm">
+                <pre className="whitespace-pre-wrap">
+                  {JSON.stringify(performance?.[strategy.id], null, 2)}
+                </pre>
+              </div>
             </div>
-          </div>
+          ))}
         </div>
       </details>
     </div>
@@ -1,7 +1,8 @@
-import React from 'react';
-import { CheckCircle, XCircle, Clock, Database, Zap, BarChart } from 'lucide-react';
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, Clock, Database, Zap, BarChart, StopCircle } from 'lucide-react';
 
 const STATUS_MESSAGES = {
+  queued: 'Waiting for a free optimization slot...',
   running: 'Initializing optimization...',
   generating_strategies: 'Generating index strategies...',
   creating_forks: 'Creating zero-copy database forks...',
@@ -9,10 +10,14 @@ const STATUS_MESSAGES = {
   running_tests: 'Running performance tests...',
   analyzing_results: 'Analyzing results and generating recommendations...',
   completed: 'Optimization completed successfully!',
-  failed: 'Optimization failed'
+  failed: 'Optimization failed',
+  cancelling: 'Cancelling and cleaning up forks...',
+  cancelled: 'Optimization cancelled',
+  interrupted: 'Server restarting - the optimization resumes from its last checkpoint...'
 };
 
 const STATUS_ICONS = {
+  queued: Clock,
   running: Clock,
   generating_strategies: Zap,
   creating_forks: Database,
@@ -20,19 +25,26 @@ const STATUS_ICONS = {
   running_tests: BarChart,
   analyzing_results: BarChart,
   completed: CheckCircle,
-  failed: XCircle
+  failed: XCircle,
+  cancelling: StopCircle,
+  cancelled: StopCircle,
+  interrupted: Clock
 };
 
-function StatusIndicator({ isRunning, optimization }) {
+function StatusIndicator({ isRunning, optimization, onCancel }) {
+  const [cancelling, setCancelling] = useState(false);
+
   if (!isRunning && !optimization) return null;
 
   const status = optimization?.status || 'running';
   const Icon = STATUS_ICONS[status] || Clock;
-  const message = STATUS_MESSAGES[status] || 'Processing...';
+  const message = status === 'queued' && optimization?.queuePosition
+    ? `Waiting in queue (position ${optimization.queuePosition})...`
+    : STATUS_MESSAGES[status] || 'Processing...';
 
   const getStatusClass = () => {
     if (status === 'completed') return 'status-completed';
-    if (status === 'failed') return 'status-failed';
+    if (status === 'failed' || status === 'cancelled') return 'status-failed';
     return 'status-running';
   };
 
@@ -42,6 +54,24 @@ function StatusIndicator({ isRunning, optimization }) {
         <Icon size={20} />
         <span>{message}</span>
         {isRunning && <div className="loading-spinner ml-2" />}
+        {isRunning && onCancel && (
+          <button
+            type="button"
+            className="btn btn-secondary ml-auto"
+            onClick={async () => {
+              setCancelling(true);
+              try {
+                await onCancel();
+              } finally {
+                setCancelling(false);
+              }
+            }}
+            disabled={cancelling}
+          >
+            <StopCircle size={16} />
+            {cancelling ? 'Cancelling...' : 'Cancel'}
+          </button>
+        )}
       </div>
 
       {optimization?.error && (
@@ -51,18 +81,25 @@ function StatusIndicator({ isRunning, optimization }) {
         </div>
       )}
 
-      {optimization?.results?.forks && (
+      {optimization?.results?.executionMode === 'sandbox' && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <h4 className="font-semibold text-blue-800 mb-2">Sandbox Mode</h4>
+          <p className="text-sm text-blue-700">
+            Each strategy was tested inside its own transaction on the base database and rolled back - no indexes were kept.
+          </p>
+        </div>
+      )}
+
+      {optimization?.results?.forks && Object.keys(optimization.results.forks).length > 0 && (
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
           <h4 className="font-semibold text-blue-800 mb-2">Fork Information</h4>
           <div className="grid grid-cols-2 gap-4 text-sm">
-            <div>
-              <span className="font-medium">Strategy A Fork:</span>
-              <code className="ml-2 text-blue-700">{optimization.results.forks.forkA}</code>
-            </div>
-            <div>
-              <span className="font-medium">Strategy B Fork:</span>
-              <code className="ml-2 text-blue-700">{optimization.results.forks.forkB}</code>
-            </div>
+            {Object.entries(optimization.results.forks).map(([strategyId, forkName]) => (
+              <div key={strategyId}>
+                <span className="font-medium">{strategyId} fork:</span>
+                <code className="ml-2 text-blue-700">{forkName}</code>
+              </div>
+            ))}
           </div>
         </div>
       )}
@@ -75,7 +112,7 @@ function StatusIndicator({ isRunning, optimization }) {
           </div>
           {optimization.endTime && (
             <div className="flex justify-between">
-              <span>Completed:</span>
+              <span>{optimization.status === 'cancelled' ? 'Cancelled:' : 'Completed:'}</span>
               <span>{new Date(optimization.endTime).toLocaleTimeString()}</span>
             </div>
           )}
@@ -17,8 +17,18 @@ export const generateDemoOptimizationResult = (queries) => {
   console.log('Demo Mode: Generating results for', queryCount, 'queries');
   console.log('Demo queries:', demoQueries);
 
-  const strategies = {
-    strategyA: {
+  const strategies = [
+    {
+      id: 'baseline',
+      name: 'Baseline (Existing Indexes)',
+      description: 'No new indexes - measures the workload as it runs today',
+      indexes: [],
+      estimatedSize: 0,
+      estimatedBytes: 0,
+      complexity: 'none'
+    },
+    {
+      id: 'single-column',
       name: 'Basic Single-Column Strategy',
       description: 'Simple single-column B-tree indexes on most queried columns',
       indexes: [
@@ -48,9 +58,11 @@ export const generateDemoOptimizationResult = (queries) => {
         }
       ],
       estimatedSize: 85,
+      estimatedBytes: 89128960,
       complexity: 'low'
     },
-    strategyB: {
+    {
+      id: 'composite',
       name: 'Advanced Composite Strategy',
       description: 'Optimized composite and partial indexes for complex query patterns',
       indexes: [
@@ -80,87 +92,59 @@ export const generateDemoOptimizationResult = (queries) => {
         }
       ],
       estimatedSize: 142,
+      estimatedBytes: 148897792,
       complexity: 'high'
     }
+  ];
+
+  // Simulated timing ranges per strategy: [min, spread] in ms
+  const timings = {
+    baseline: { execution: [70, 20], planning: [2, 3], nodeType: 'Seq Scan', indexScans: 0, seqScans: 1 },
+    'single-column': { execution: [45, 20], planning: [2, 3], nodeType: 'Index Scan', indexScans: 1, seqScans: 0 },
+    composite: { execution: [25, 15], planning: [1.5, 2], nodeType: 'Index Only Scan', indexScans: 1, seqScans: 0 }
   };
 
   // Simulate performance results
-  const performanceA = demoQueries.map((query, i) => ({
-    query,
-    executionTime: 45 + Math.random() * 20, // 45-65ms
-    planningTime: 2 + Math.random() * 3,    // 2-5ms
-    plan: {
-      'Node Type': 'Index Scan',
-      'Total Cost': 100 + Math.random() * 50,
-      'Actual Rows': 1000 + Math.random() * 500,
-      'Actual Loops': 1
-    },
-    metrics: {
-      totalCost: 100 + Math.random() * 50,
-      actualRows: 1000 + Math.random() * 500,
-      indexScans: 1,
-      seqScans: 0,
-      bufferHits: 50 + Math.random() * 20,
-      bufferReads: 5 + Math.random() * 10
-    },
-    runs: 3
-  }));
-
-  const performanceB = demoQueries.map((query, i) => ({
-    query,
-    executionTime: 25 + Math.random() * 15, // 25-40ms (better)
-    planningTime: 1.5 + Math.random() * 2,  // 1.5-3.5ms
-    plan: {
-      'Node Type': 'Index Only Scan',
-      'Total Cost': 60 + Math.random() * 30,
-      'Actual Rows': 1000 + Math.random() * 500,
-      'Actual Loops': 1
-    },
-    metrics: {
-      totalCost: 60 + Math.random() * 30,
-      actualRows: 1000 + Math.random() * 500,
-      indexScans: 1,
-      seqScans: 0,
-      bufferHits: 80 + Math.random() * 15,
-      bufferReads: 2 + Math.random() * 5
-    },
-    runs: 3
-  }));
-
-  const avgTimeA = performanceA.reduce((sum, r) => sum + r.executionTime, 0) / performanceA.length;
-  const avgTimeB = performanceB.reduce((sum, r) => sum + r.executionTime, 0) / performanceB.length;
-  const improvement = ((avgTimeA - avgTimeB) / avgTimeA) * 100;
-
-  const comparison = {
-    strategyA: {
-      name: strategies.strategyA.name,
-      avgExecutionTime: avgTimeA,
-      queries: performanceA.length,
-      indexes: strategies.strategyA.indexes.length,
-      estimatedSize: strategies.strategyA.estimatedSize
-    },
-    strategyB: {
-      name: strategies.strategyB.name,
-      avgExecutionTime: avgTimeB,
-      queries: performanceB.length,
-      indexes: strategies.strategyB.indexes.length,
-      estimatedSize: strategies.strategyB.estimatedSize
-    },
-    improvement: {
-      percentage: improvement,
-      faster: improvement > 0 ? 'strategyB' : 'strategyA',
-      timeSaved: Math.abs(avgTimeA - avgTimeB)
-    }
-  };
+  const performance = {};
+  const forks = {};
+  strategies.forEach(({ id }) => {
+    const timing = timings[id];
+    forks[id] = `demo-${id}-fork`;
+    performance[id] = demoQueries.map((query) => ({
+      query,
+      executionTime: timing.execution[0] + Math.random() * timing.execution[1],
+      planningTime: timing.planning[0] + Math.random() * timing.planning[1],
+      plan: {
+        'Node Type': timing.nodeType,
+        'Total Cost': 60 + Math.random() * 90,
+        'Actual Rows': 1000 + Math.random() * 500,
+        'Actual Loops': 1
+      },
+      metrics: {
+        totalCost: 60 + Math.random() * 90,
+        actualRows: 1000 + Math.random() * 500,
+        indexScans: timing.indexScans,
+        seqScans: timing.seqScans,
+        bufferHits: 50 + Math.random() * 40,
+        bufferReads: 2 + Math.random() * 10
+      },
+      runs: 3
+    }));
+  });
+
+  const comparison = rankStrategies(strategies, performance, 'baseline');
+  const winner = comparison.leaderboard[0];
+  const improvement = comparison.improvement.percentage;
+  const baselineName = strategies.find(s => s.id === comparison.baseline).name;
 
   const recommendation = {
     action: improvement > 5 ? 'apply_strategy' : 'no_change',
-    strategy: improvement > 0 ? 'strategyB' : 'strategyA',
+    strategy: winner.strategy,
     reason: improvement > 5 
-      ? `${strategies.strategyB.name} shows ${improvement.toFixed(1)}% improvement`
+      ? `${winner.name} shows ${improvement.toFixed(1)}% improvement over ${baselineName}`
       : 'Performance difference is negligible (<5%)',
     confidence: Math.abs(improvement) > 20 ? 'high' : improvement > 10 ? 'medium' : 'low',
-    estimatedImpact: `Save ~${Math.abs(avgTimeA - avgTimeB).toFixed(2)}ms per query`,
+    estimatedImpact: `Save ~${comparison.improvement.timeSaved.toFixed(2)}ms per query`,
     hybridSearchInsights: {
       similarPatterns: [
         { pattern: 'WHERE + ORDER BY optimization', confidence: 0.92, source: 'pg_textsearch' },
@@ -177,25 +161,17 @@ export const generateDemoOptimizationResult = (queries) => {
 
   const result = {
     strategies,
-    forks: {
-      forkA: 'demo-strategy-a-fork',
-      forkB: 'demo-strategy-b-fork'
-    },
-    performance: {
-      strategyA: performanceA,
-      strategyB: performanceB
-    },
+    executionMode: 'simulated',
+    forks,
+    performance,
+    failures: {},
     comparison,
     recommendation
   };
 
   console.log('Demo Mode: Generated result structure:', {
-    hasStrategies: !!result.strategies,
-    strategyAIndexes: result.strategies?.strategyA?.indexes?.length,
-    strategyBIndexes: result.strategies?.strategyB?.indexes?.length,
-    hasComparison: !!result.comparison,
-    comparisonStrategyA: result.comparison?.strategyA,
-    comparisonStrategyB: result.comparison?.strategyB,
+    strategies: result.strategies.map(s => `${s.id} (${s.indexes.length} indexes)`),
+    leaderboard: result.comparison.leaderboard.map(e => `${e.rank}. ${e.strategy}`),
     hasRecommendation: !!result.recommendation,
     improvementPercentage: result.comparison?.improvement?.percentage
   });
@@ -203,24 +179,74 @@ export const generateDemoOptimizationResult = (queries) => {
   return result;
 };
 
+// Same ranking the server's orchestrator produces: leaderboard plus a pairwise improvement matrix
+const rankStrategies = (strategies, performance, baselineId) => {
+  const measured = strategies.map(strategy => {
+    const results = performance[strategy.id];
+    return {
+      strategy: strategy.id,
+      name: strategy.name,
+      avgExecutionTime: results.reduce((sum, r) => sum + r.executionTime, 0) / results.length,
+      queries: results.length,
+      failedQueries: 0,
+      indexes: strategy.indexes.length,
+      estimatedSize: strategy.estimatedSize,
+      estimatedBytes: strategy.estimatedBytes
+    };
+  });
+
+  const baseline = measured.find(s => s.strategy === baselineId) || measured[0];
+  const improvementOver = (a, b) => ((b.avgExecutionTime - a.avgExecutionTime) / b.avgExecutionTime) * 100;
+
+  const leaderboard = [...measured]
+    .sort((a, b) => a.avgExecutionTime - b.avgExecutionTime)
+    .map((entry, i) => ({ rank: i + 1, ...entry, improvementVsBaseline: improvementOver(entry, baseline) }));
+
+  const matrix = {};
+  measured.forEach(a => {
+    matrix[a.strategy] = {};
+    measured.forEach(b => {
+      if (a !== b) matrix[a.strategy][b.strategy] = improvementOver(a, b);
+    });
+  });
+
+  const winner = leaderboard[0];
+
+  return {
+    baseline: baseline.strategy,
+    winner: winner.strategy,
+    leaderboard,
+    matrix,
+    unmeasured: [],
+    improvement: {
+      percentage: winner.improvementVsBaseline,
+      faster: winner.strategy,
+      baseline: baseline.strategy,
+      timeSaved: baseline.avgExecutionTime - winner.avgExecutionTime
+    }
+  };
+};
+
 export const simulateOptimizationProgress = (onUpdate) => {
+  // Each step also reports an agent event shaped like the server's SSE `agent` events
   const steps = [
-    { status: 'generating_strategies', delay: 1000 },
-    { status: 'creating_forks', delay: 2000 },
-    { status: 'applying_strategies', delay: 1500 },
-    { status: 'running_tests', delay: 3000 },
-    { status: 'analyzing_results', delay: 1000 },
-    { status: 'completed', delay: 500 }
+    { status: 'generating_strategies', delay: 1000, event: { agent: 'Index-Tuner', type: 'step_started', status: 'running', message: 'Analyzing query patterns' } },
+    { status: 'creating_forks', delay: 2000, event: { agent: 'Orchestrator', type: 'step_started', status: 'running', message: 'Creating zero-copy forks for 3 strategies' } },
+    { status: 'applying_strategies', delay: 1500, event: { agent: 'Validator', type: 'step_started', status: 'running', message: 'Applying index strategies to forks' } },
+    { status: 'running_tests', delay: 3000, event: { agent: 'Validator', type: 'step_started', status: 'running', message: 'Running EXPLAIN ANALYZE on every fork' } },
+    { status: 'analyzing_results', delay: 1000, event: { agent: 'Orchestrator', type: 'step_started', status: 'running', message: 'Comparing strategy performance' } },
+    { status: 'completed', delay: 500, event: { agent: 'Orchestrator', type: 'step_finished', status: 'completed', message: 'Recommendation ready' } }
   ];
 
   let currentStep = 0;
+  let timer = null;
   
   const processStep = () => {
     if (currentStep < steps.length) {
       const step = steps[currentStep];
-      onUpdate({ status: step.status });
+      onUpdate({ status: step.status, event: step.event });
       
-      setTimeout(() => {
+      timer = setTimeout(() => {
         currentStep++;
         processStep();
       }, step.delay);
@@ -228,4 +254,7 @@ export const simulateOptimizationProgress = (onUpdate) => {
   };
 
   processStep();
+
+  // Stops the remaining steps
+  return () => clearTimeout(timer);
 };
\ No newline at end of file
@@ -0,0 +1,108 @@
+// Workload entries with call frequencies. In the query box a frequency is a trailing comment on
+// the query's line, e.g. `SELECT ... ; -- 600/h`; imported files become lines in that form
+
+const FREQUENCY_COMMENT = /\s*--\s*(\d+(?:\.\d+)?)\s*(?:calls?\s*)?\/\s*h(?:our)?\s*$/i;
+
+// { queries, callsPerHour } from the query box; callsPerHour is null when no line carries a
+// frequency, otherwise lines without one count as one call per hour
+export const parseWorkload = (text) => {
+  const entries = text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('--'))
+    .map(line => {
+      const match = line.match(FREQUENCY_COMMENT);
+      return match
+        ? { query: line.slice(0, match.index).trim(), callsPerHour: Number(match[1]) }
+        : { query: line, callsPerHour: null };
+    })
+    .filter(entry => entry.query);
+
+  return {
+    queries: entries.map(entry => entry.query),
+    callsPerHour: entries.some(entry => entry.callsPerHour !== null)
+      ? entries.map(entry => entry.callsPerHour ?? 1)
+      : null
+  };
+};
+
+// One query per line, with its frequency as a trailing comment
+export const formatWorkload = (entries) => entries
+  .map(({ query, callsPerHour }) => {
+    const line = query.replace(/\s+/g, ' ').trim();
+    return typeof callsPerHour === 'number' ? `${line} -- ${+callsPerHour.toFixed(2)}/h` : line;
+  })
+  .join('\n');
+
+// Minimal RFC 4180 reader: quoted fields may hold commas, newlines and doubled quotes
+const parseCsv = (text) => {
+  const rows = [[]];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      rows[rows.length - 1].push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      rows[rows.length - 1].push(field);
+      field = '';
+      rows.push([]);
+    } else {
+      field += char;
+    }
+  }
+  rows[rows.length - 1].push(field);
+  return rows.filter(row => row.some(value => value.trim()));
+};
+
+// Only rates: pg_stat_statements' own `calls` is a total since the last stats reset, not calls per hour
+const FREQUENCY_KEYS = ['calls_per_hour', 'callsperhour'];
+
+const toEntry = (record) => {
+  const keys = Object.fromEntries(Object.entries(record).map(([key, value]) => [key.toLowerCase(), value]));
+  const query = typeof keys.query === 'string' ? keys.query.trim() : '';
+  const frequencyKey = FREQUENCY_KEYS.find(key => keys[key] !== undefined && keys[key] !== '');
+  if (!frequencyKey && keys.calls !== undefined && keys.calls !== '') {
+    throw new Error('"calls" is a total since the last stats reset; export calls_per_hour instead (see the README)');
+  }
+  const callsPerHour = frequencyKey ? Number(keys[frequencyKey]) : null;
+  if (callsPerHour !== null && !(Number.isFinite(callsPerHour) && callsPerHour > 0)) {
+    throw new Error(`Invalid calls per hour "${keys[frequencyKey]}" for: ${query.slice(0, 60)}`);
+  }
+  return { query, callsPerHour };
+};
+
+// Entries from an imported workload file: a JSON array of queries or of objects, or a CSV with a
+// header row, each with a `query` and a `calls_per_hour` (or `callsPerHour`) field - what the
+// pg_stat_statements query in the README exports
+export const importWorkload = (text, fileName = '') => {
+  let records;
+  if (fileName.toLowerCase().endsWith('.json') || /^\s*\[/.test(text)) {
+    const parsed = JSON.parse(text);
+    if (!Array.isArray(parsed)) throw new Error('Expected a JSON array of queries');
+    records = parsed.map(item => typeof item === 'string' ? { query: item } : item);
+  } else {
+    const [header, ...rows] = parseCsv(text);
+    if (!header?.some(name => name.trim().toLowerCase() === 'query')) {
+      throw new Error('Expected a CSV header with a "query" column');
+    }
+    records = rows.map(row => Object.fromEntries(header.map((name, i) => [name.trim(), row[i] ?? ''])));
+  }
+
+  const entries = records.filter(record => record && typeof record === 'object').map(toEntry).filter(entry => entry.query);
+  if (entries.length === 0) throw new Error('No queries found in the file');
+  return entries;
+};
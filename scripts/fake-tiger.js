@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Stand-in for the Tiger CLI that replays recorded output, so the fork lifecycle
+ * can be exercised without a Tiger Cloud account:
+ *
+ *   TIGER_CLI_PATH=./scripts/fake-tiger.js TIGER_FORK_POLL_INTERVAL_MS=100 npm run server
+ *
+ * Every response is a file in FAKE_TIGER_FIXTURES (default scripts/fixtures/tiger) - the CLI's own
+ * output, with the service's ID, name, creation time and connection string filled in.
+ * Forks report QUEUED, then CONFIGURING, then READY on successive `service get` calls.
+ * Every fork's connection string is FAKE_TIGER_CONNECTION_STRING (default: TIGER_DATABASE_URL).
+ * FAKE_TIGER_FAIL=fork makes `service fork` fail; FAKE_TIGER_FAIL=get makes `service get` fail.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const fixturesDir = process.env.FAKE_TIGER_FIXTURES
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'tiger');
+const stateFile = process.env.FAKE_TIGER_STATE || path.join(os.tmpdir(), 'fake-tiger-state.json');
+const connectionString = process.env.FAKE_TIGER_CONNECTION_STRING
+  || process.env.TIGER_DATABASE_URL
+  || 'postgresql://tsdbadmin@localhost:5432/tsdb';
+const STATUS_FIXTURES = ['service-get-queued.json', 'service-get-configuring.json', 'service-get-ready.json'];
+
+const loadState = () => {
+  try {
+    return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  } catch {
+    return { services: {} };
+  }
+};
+
+const saveState = (state) => fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+
+const replay = (fixture, values) => fs.readFileSync(path.join(fixturesDir, fixture), 'utf8')
+  .replace(/\{\{(\w+)\}\}/g, (placeholder, key) => values[key] ?? placeholder);
+
+const serviceValues = (service) => ({
+  service_id: service.id,
+  name: service.name,
+  parent: service.parent,
+  created: service.created,
+  connection_string: connectionString.replace(/:[^:@/]*@/, '@') // the CLI never prints passwords
+});
+
+const statusFixture = (service) => STATUS_FIXTURES[Math.min(service.polls, STATUS_FIXTURES.length - 1)];
+
+const fail = (fixture, values) => {
+  process.stderr.write(replay(fixture, values));
+  process.exit(1);
+};
+
+const flag = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+};
+
+const [group, command, target, ...rest] = process.argv.slice(2);
+const state = loadState();
+const known = (serviceId) => state.services[serviceId] || fail('error-service-not-found.txt', { service_id: serviceId });
+
+if (group === 'service' && command === 'fork') {
+  if (process.env.FAKE_TIGER_FAIL === 'fork') fail('error-fork.txt', { parent: target });
+  const id = Math.random().toString(36).substring(2, 12);
+  const service = {
+    id,
+    name: flag(rest, '--name') || `${target}-fork`,
+    parent: target,
+    created: new Date().toISOString(),
+    polls: 0
+  };
+  state.services[id] = service;
+  saveState(state);
+  process.stdout.write(replay('service-fork.json', serviceValues(service)));
+} else if (group === 'service' && command === 'get') {
+  if (process.env.FAKE_TIGER_FAIL === 'get') fail('error-service-not-found.txt', { service_id: target });
+  const service = known(target);
+  const output = replay(statusFixture(service), serviceValues(service));
+  service.polls++;
+  saveState(state);
+  process.stdout.write(output);
+} else if (group === 'service' && command === 'delete') {
+  const service = known(target);
+  delete state.services[target];
+  saveState(state);
+  process.stdout.write(replay('service-delete.txt', serviceValues(service)));
+} else if (group === 'service' && command === 'list') {
+  // The list prints the same service objects as `service get`, as one JSON array
+  const services = Object.values(state.services)
+    .map(service => JSON.parse(replay(statusFixture(service), serviceValues(service))));
+  console.log(JSON.stringify(services, null, 2));
+} else if (group === 'db' && command === 'connection-string') {
+  process.stdout.write(replay('db-connection-string.txt', serviceValues(known(target))));
+} else {
+  process.stderr.write(`Error: unsupported command: ${process.argv.slice(2).join(' ')}\n`);
+  process.exit(1);
+}
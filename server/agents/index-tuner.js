@@ -1,222 +1,1211 @@
+import { analyzeSql, quoteIdentifier } from '../services/sql-analyzer.js';
+
+// Strategies generated when a request doesn't pick its own
+export const DEFAULT_STRATEGY_IDS = ['baseline', 'single-column', 'composite'];
+
+// Covering indexes carry at most this many non-key columns; wider projections aren't worth the index size
+const MAX_INCLUDE_COLUMNS = 3;
+const MAX_KEY_COLUMNS = 3;
+// Equality columns whose rows-per-value estimates are within this factor are ranked a toss-up
+const SELECTIVITY_TIE_RATIO = 2;
+// Alternative composite orderings tested next to the preferred one
+const MAX_ORDERING_ALTERNATIVES = 2;
+// Strategies the what-if screening sends on to real testing, besides the baseline
+const DEFAULT_SCREENED_STRATEGIES = 3;
+// A partial index must skip most of the table to be worth it: its predicate may match at most this share of rows
+const MAX_PARTIAL_FRACTION = 0.25;
+
+// Index size estimation: PostgreSQL's page size and the B-tree default fillfactor (percent of each leaf filled)
+const PAGE_BYTES = 8192;
+const BTREE_FILLFACTOR = 90;
+// A compressed GIN posting list spends about this many bytes per (row, key) pair
+const GIN_POSTING_BYTES = 3;
+
+// BRIN only pays off on tables of some size whose rows are stored in (or against) the column's order
+const MIN_BRIN_PAGES = 1000;
+const MIN_BRIN_CORRELATION = 0.9;
+// pages_per_range is sized so a table gets about this many block-range summaries
+const BRIN_TARGET_RANGES = 1024;
+
+// GIN index flavours by what the workload asks of a column
+const GIN_METHODS = {
+  trigram: { opclass: 'gin_trgm_ops', extension: 'pg_trgm', label: 'trigram' },
+  tsvector: { opclass: null, label: 'full-text' },
+  jsonb_path_ops: { opclass: 'jsonb_path_ops', label: 'jsonb containment' },
+  jsonb_ops: { opclass: null, label: 'jsonb key' },
+  array: { opclass: null, label: 'array' }
+};
+
+// A rendered SQL literal ('it''s', true, ('2024-01-01')::date) in the text form pg_stats uses
+function literalText(sql) {
+  const cast = sql.match(/^\((.*)\)::[\w."]+$/s);
+  if (cast) return literalText(cast[1]);
+  if (sql === 'true' || sql === 'false') return sql[0];
+  const quoted = sql.match(/^'(.*)'$/s);
+  return quoted ? quoted[1].replace(/''/g, "'") : sql;
+}
+
+// Identifier-safe form of a name or expression, for building index names only; SQL uses quoteIdentifier
+function slugOf(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Names of the indexes a plan node tree scans
+function planIndexNames(node) {
+  return [...(node['Index Name'] ? [node['Index Name']] : []), ...(node.Plans || []).flatMap(planIndexNames)];
+}
+
+// Index keys, INCLUDE columns and predicates in a form comparable with the catalog's rendering:
+// no quoting, casts, parentheses or spacing
+function normalizeSql(sql) {
+  return sql.toLowerCase()
+    .replace(/::(?:character varying|double precision|timestamp(?: with(?:out)? time zone)?|[\w."]+)(?:\[\])?/g, '')
+    .replace(/["()\s]/g, '');
+}
+
 export class IndexTunerAgent {
-  constructor() {
+  // tigerService is used to look up column ownership in the base database's catalog
+  constructor(tigerService) {
+    this.tigerService = tigerService;
     this.name = 'IndexTunerAgent';
+    // Strategy ids double as fork name suffixes (<jobId>-<id>), so keep them short and hyphenated
+    this.strategyGenerators = {
+      baseline: analysis => this.generateBaselineStrategy(analysis),
+      'single-column': analysis => this.generateBasicStrategy(analysis),
+      composite: analysis => this.generateAdvancedStrategy(analysis),
+      partial: analysis => this.generatePartialStrategy(analysis),
+      gin: analysis => this.generateGinStrategy(analysis),
+      brin: analysis => this.generateBrinStrategy(analysis),
+      covering: analysis => this.generateCoveringStrategy(analysis),
+      consolidate: analysis => this.generateConsolidateStrategy(analysis)
+    };
+  }
+
+  get availableStrategies() {
+    return Object.keys(this.strategyGenerators);
   }
 
-  async generateIndexStrategies(queries, tableName) {
+  // weights: calls per hour of each query, or null when every query counts the same
+  async generateIndexStrategies(queries, tableName, { strategies: requested, weights = null, onEvent = () => {} } = {}) {
     // Analyze queries to determine optimal index strategies
-    const analysis = this.analyzeQueries(queries, tableName);
-    
+    onEvent({ type: 'step_started', message: `Analyzing ${queries.length} queries on ${tableName || 'the workload tables'}` });
+    if (weights) {
+      onEvent({ type: 'step_finished', message: `Weighting queries by calls per hour: ${weights.map((calls, i) => `query ${i + 1} ${calls}/h`).join(', ')}` });
+    }
+    const analysis = await this.analyzeQueries(queries, tableName, { onEvent, weights });
+    analysis.usage.errors.forEach(({ queryIndex, message }) => onEvent({
+      type: 'parse_failed',
+      message: `Query ${queryIndex + 1} skipped: ${message}`,
+      queryIndex
+    }));
+
+    const qualified = role => analysis.tables
+      .flatMap(table => [...analysis.tablePatterns[table][role]].map(item => `${table}.${item.expression || item}`))
+      .join(', ') || 'no columns';
+    onEvent({
+      type: 'step_finished',
+      message: `Found filters on ${qualified('whereColumns')}; sorting on ${qualified('orderByColumns')}; joining on ${qualified('joinColumns')}; expressions ${qualified('expressions')}`
+    });
+    analysis.foreignKeys
+      .filter(fk => !fk.indexed && analysis.tables.includes(fk.table))
+      .forEach(fk => onEvent({
+        type: 'step_finished',
+        message: `Foreign key ${fk.table}(${fk.columns.join(', ')}) -> ${fk.referencedTable} has no supporting index`,
+        constraint: fk.constraint
+      }));
+
+    const ids = requested && requested.length > 0 ? requested : DEFAULT_STRATEGY_IDS;
+
+    const strategies = ids.map(id => {
+      const generate = this.strategyGenerators[id];
+      if (!generate) {
+        throw new Error(`Unknown strategy: ${id}`);
+      }
+      const strategy = this.reconcileWithExisting({ id, ...generate(analysis) }, analysis, onEvent);
+      onEvent({ type: 'step_finished', strategy: id, message: `Generated ${strategy.name}: ${strategy.indexes.length} indexes` });
+      return strategy;
+    });
+
+    // Composite key orders the statistics can't decide between get a fork of their own
+    if (ids.includes('composite')) {
+      const alternatives = Math.max(0, ...Object.values(analysis.compositeOrderings).map(orderings => orderings.length - 1));
+      for (let variant = 1; variant <= alternatives; variant++) {
+        const strategy = this.reconcileWithExisting({ id: `composite-alt${variant}`, ...this.generateAdvancedStrategy(analysis, variant) }, analysis, onEvent);
+        onEvent({ type: 'step_finished', strategy: strategy.id, message: `Generated ${strategy.name}: ${strategy.indexes.length} indexes` });
+        strategies.splice(strategies.findIndex(({ id }) => id === 'composite') + variant, 0, strategy);
+      }
+    }
+
+    await this.estimateSizes(strategies, analysis, onEvent);
+
     return {
-      strategyA: this.generateBasicStrategy(analysis),
-      strategyB: this.generateAdvancedStrategy(analysis),
+      // A strategy that changes no indexes would only repeat the baseline measurement
+      strategies: strategies.filter(strategy => strategy.id === 'baseline' || strategy.indexes.length > 0 || strategy.drops?.length > 0),
       analysis
     };
   }
 
-  analyzeQueries(queries, tableName) {
-    const patterns = {
-      whereColumns: new Set(),
-      orderByColumns: new Set(),
-      joinColumns: new Set(),
-      selectColumns: new Set(),
-      aggregations: []
+  // Sets estimatedBytes on every index that doesn't have one yet (see indexBytes), and a strategy's
+  // estimatedBytes/estimatedSize (MB) to their sum - what its new indexes add, comparable with the
+  // measured sizes. Unknown (null) when the catalog can't be read or a column was never analyzed
+  async estimateSizes(strategies, analysis, onEvent) {
+    const indexes = strategies.flatMap(strategy => strategy.indexes).filter(index => index.estimatedBytes === undefined);
+    const columns = [...new Map(indexes.flatMap(index => [...index.columns, ...(index.include || [])]
+      .map(column => [`${index.table}.${column}`, { table: index.table, column }]))).values()];
+
+    const stats = columns.length > 0
+      ? await this.readCatalog(() => this.tigerService.getColumnStats(columns), 'Column statistics lookup failed, index sizes unknown', onEvent)
+      : null;
+    const sizes = columns.length > 0
+      ? await this.readCatalog(() => this.tigerService.getTableSizes([...new Set(columns.map(({ table }) => table))]), 'Table size lookup failed, index sizes unknown', onEvent)
+      : null;
+
+    for (const index of indexes) {
+      index.estimatedBytes = stats && sizes ? this.indexBytes(index, stats[index.table] || {}, sizes[index.table]) : null;
+    }
+    for (const strategy of strategies) {
+      const estimates = strategy.indexes.map(index => index.estimatedBytes);
+      strategy.estimatedBytes = estimates.includes(null) ? null : estimates.reduce((sum, bytes) => sum + bytes, 0);
+      strategy.estimatedSize = strategy.estimatedBytes === null ? null : Number((strategy.estimatedBytes / 1024 / 1024).toFixed(2));
+    }
+  }
+
+  // Estimated on-disk size of a proposed index from the planner's row count (pg_class.reltuples, times
+  // the partial predicate's share of rows) and pg_stats.avg_width of its key and INCLUDE columns; an
+  // expression key is taken to be as wide as its column
+  indexBytes(index, columnStats, tableSize) {
+    const widths = [...index.columns, ...(index.include || [])].map(column => columnStats[column]?.avgWidth);
+    if (!tableSize || widths.some(width => width == null)) {
+      return null;
+    }
+
+    const rows = tableSize.tuples * (index.fraction ?? 1);
+    const width = widths.reduce((sum, w) => sum + w, 0);
+
+    if (index.type.startsWith('gin')) {
+      // Keys per row guessed from the value's width: about one trigram per character, one key per
+      // eight bytes of tsvector, jsonb or array data. Plus the metapage and the entry tree's root
+      const keysPerRow = index.type === 'gin_trigram' ? width : Math.max(1, width / 8);
+      return (Math.ceil((rows * keysPerRow * GIN_POSTING_BYTES) / (PAGE_BYTES - 24)) + 2) * PAGE_BYTES;
+    }
+
+    // B-tree: per row a tuple (8-byte header, MAXALIGNed data) and a 4-byte line pointer, leaf pages
+    // filled to the fillfactor, each level above holding one downlink per page below, and the metapage.
+    // Deduplication of repeated keys (PostgreSQL 13+) can make the real index smaller
+    const fillfactor = Number(index.sql.match(/fillfactor\s*=\s*(\d+)/i)?.[1] || BTREE_FILLFACTOR);
+    const itemBytes = 8 + Math.ceil(width / 8) * 8 + 4;
+    const usable = ((PAGE_BYTES - 24 - 16) * fillfactor) / 100;
+    let level = Math.max(1, Math.ceil((rows * itemBytes) / usable));
+    let pages = level;
+    while (level > 1) {
+      level = Math.ceil((level * itemBytes) / usable);
+      pages += level;
+    }
+    return (pages + 1) * PAGE_BYTES;
+  }
+
+  // What-if screening: the workload is EXPLAINed with each strategy's indexes created as hypopg
+  // hypothetical indexes (and its drops hidden), and only the `top` strategies with the largest
+  // estimated cost reduction go on to real testing, along with the `keep` ids. Every index records its
+  // estimate over the queries whose plan picked it, each query's cost counted `weights` (calls per
+  // hour) times. Without hypopg nothing is screened out
+  async screenStrategies(strategies, queries, { top = DEFAULT_SCREENED_STRATEGIES, keep = [], weights = null, signal, onEvent = () => {} } = {}) {
+    const candidates = strategies.filter(strategy => strategy.indexes.length > 0 || strategy.drops?.length > 0);
+    if (candidates.length === 0 || !this.tigerService?.baseConnectionString) {
+      return { strategies, whatIf: null };
+    }
+
+    onEvent({ type: 'step_started', message: `What-if screening of ${candidates.length} strategies with hypothetical indexes` });
+    let outcomes;
+    try {
+      outcomes = await this.tigerService.explainHypothetical([
+        {},
+        ...candidates.map(strategy => ({
+          indexes: strategy.indexes.map(index => index.sql),
+          hide: (strategy.drops || []).map(drop => drop.name)
+        }))
+      ], queries, { signal });
+    } catch (error) {
+      signal?.throwIfAborted();
+      onEvent({ type: 'step_failed', message: `What-if screening skipped, testing every strategy: ${error.message}` });
+      return { strategies, whatIf: { available: false, reason: error.message } };
+    }
+
+    const [base, ...scenarios] = outcomes;
+    // Estimated cost reduction in percent over the given queries; null when none could be planned
+    const reduction = (queryIndexes, plans) => {
+      const planned = queryIndexes.filter(i => base.plans[i].cost !== undefined && plans[i].cost !== undefined);
+      const before = planned.reduce((sum, i) => sum + base.plans[i].cost * (weights?.[i] ?? 1), 0);
+      const after = planned.reduce((sum, i) => sum + plans[i].cost * (weights?.[i] ?? 1), 0);
+      return before > 0 ? ((before - after) / before) * 100 : null;
     };
+    const allQueries = queries.map((query, i) => i);
 
-    queries.forEach(query => {
-      const normalized = query.toLowerCase().replace(/\s+/g, ' ').trim();
-      
-      // Extract WHERE clause columns
-      const whereMatch = normalized.match(/where\s+(.+?)(?:\s+order\s+by|\s+group\s+by|\s+limit|$)/);
-      if (whereMatch) {
-        const whereClause = whereMatch[1];
-        const columns = this.extractColumnsFromWhere(whereClause);
-        columns.forEach(col => patterns.whereColumns.add(col));
-      }
+    const estimates = candidates.map((strategy, i) => {
+      const { hypothetical, plans } = scenarios[i];
+      const indexes = strategy.indexes.map((index, j) => {
+        const { name, error } = hypothetical[j];
+        const queryIndexes = name ? allQueries.filter(q => plans[q].plan && planIndexNames(plans[q].plan.Plan).includes(name)) : [];
+        return {
+          index: index.name,
+          // hypopg has no GIN support, for one
+          supported: !error,
+          ...(error ? { error } : {}),
+          queryIndexes,
+          estimatedImprovement: queryIndexes.length > 0 ? reduction(queryIndexes, plans) : error ? null : 0
+        };
+      });
+      return {
+        strategy: strategy.id,
+        estimatedImprovement: reduction(allQueries, plans),
+        complete: indexes.every(index => index.supported),
+        indexes
+      };
+    });
 
-      // Extract ORDER BY columns
-      const orderMatch = normalized.match(/order\s+by\s+(.+?)(?:\s+limit|$)/);
-      if (orderMatch) {
-        const orderColumns = this.extractColumnsFromOrderBy(orderMatch[1]);
-        orderColumns.forEach(col => patterns.orderByColumns.add(col));
-      }
+    // Without any planned query there is nothing to rank on; an estimate missing some of a strategy's
+    // indexes undersells it, so that strategy isn't pruned either
+    const ranked = estimates
+      .filter(estimate => estimate.estimatedImprovement !== null)
+      .sort((a, b) => b.estimatedImprovement - a.estimatedImprovement);
+    const forked = ranked.length === 0
+      ? new Set(candidates.map(strategy => strategy.id))
+      : new Set([
+        ...keep,
+        ...ranked.slice(0, top).map(estimate => estimate.strategy),
+        ...estimates.filter(estimate => !estimate.complete).map(estimate => estimate.strategy)
+      ]);
 
-      // Extract JOIN columns
-      const joinMatches = normalized.match(/join\s+\w+\s+on\s+(.+?)(?:\s+where|\s+order|\s+group|$)/g);
-      if (joinMatches) {
-        joinMatches.forEach(joinClause => {
-          const columns = this.extractColumnsFromJoin(joinClause);
-          columns.forEach(col => patterns.joinColumns.add(col));
-        });
+    const percent = value => value === null ? 'n/a' : `${value.toFixed(1)}%`;
+    for (const estimate of estimates) {
+      estimate.pruned = !forked.has(estimate.strategy);
+      const used = estimate.indexes
+        .map(index => index.supported
+          ? `${index.index} ${percent(index.estimatedImprovement)}${index.queryIndexes.length > 0 ? ` on queries ${index.queryIndexes.map(q => q + 1).join(', ')}` : ' (unused)'}`
+          : `${index.index} not simulated`)
+        .join('; ');
+      onEvent({
+        type: 'step_finished',
+        strategy: estimate.strategy,
+        message: `${estimate.pruned ? 'Pruned' : 'Kept'} ${estimate.strategy}: estimated ${percent(estimate.estimatedImprovement)} lower cost (${used})`
+      });
+    }
+
+    return {
+      strategies: strategies.filter(strategy => !candidates.includes(strategy) || forked.has(strategy.id)),
+      whatIf: { available: true, strategies: estimates }
+    };
+  }
+
+  // Column usage comes from PostgreSQL's parser (see services/sql-analyzer.js), with aliases resolved
+  // and unqualified columns assigned to their table through the catalog. `tablePatterns` keeps the
+  // flat per-role column sets for every table the workload touches, most used first; `patterns` is
+  // the one for tableName (or the most used table when none is given)
+  async analyzeQueries(queries, tableName, { onEvent = () => {}, weights = null } = {}) {
+    let columnTypes = null; // { table: { column: type } } once the catalog has been read
+    const usage = await analyzeSql(queries, {
+      lookupColumns: async tables => {
+        columnTypes = await this.readCatalog(
+          () => this.tigerService.getTableColumns(tables),
+          'Column lookup failed, resolving columns from the queries alone',
+          onEvent
+        );
+        return columnTypes && Object.fromEntries(
+          Object.entries(columnTypes).map(([table, columns]) => [table, Object.keys(columns)])
+        );
       }
     });
 
+    // Without the catalog, columns the parser couldn't tie to one table are assumed to belong to tableName
+    const ownerOf = ref => ref.table ?? (usage.ownership === 'catalog' ? null : tableName || null);
+    // How often the query a column reference comes from runs
+    const weightOf = ref => weights?.[usage.blocks[ref.block]?.queryIndex] ?? 1;
+    const patternsFor = table => {
+      const onTable = ref => ownerOf(ref) === table;
+      // Most called columns first
+      const columnsOf = refs => {
+        const calls = new Map();
+        refs.filter(onTable).filter(ref => ref.column !== '*')
+          .forEach(ref => calls.set(ref.column, (calls.get(ref.column) || 0) + weightOf(ref)));
+        return new Set([...calls.keys()].sort((a, b) => calls.get(b) - calls.get(a)));
+      };
+      // A column read through lower(), a cast or ->> can't use a plain index on it
+      const plain = ref => !ref.expression;
+      // Nor can LIKE, containment or text search use a B-tree on the column (see ginCandidates)
+      const btree = ref => !['pattern', 'containment', 'search'].includes(ref.kind);
+      const indexable = ref => ref.expression && (ref.direction || ['equality', 'range'].includes(ref.kind));
+
+      return {
+        whereColumns: columnsOf(usage.predicates.filter(plain)),
+        // Filtered columns a plain B-tree on the column can serve
+        btreeColumns: columnsOf(usage.predicates.filter(plain).filter(btree)),
+        orderByColumns: columnsOf(usage.sorts.flat().filter(plain)),
+        // { expression, column, function?, sort } per distinct filtered or sorted expression
+        expressions: [...new Map([...usage.predicates, ...usage.sorts.flat()]
+          .filter(onTable)
+          .filter(indexable)
+          .map(ref => [ref.expression, { expression: ref.expression, column: ref.column, function: ref.function, sort: Boolean(ref.direction) }])
+        ).values()],
+        joinColumns: columnsOf(usage.joins.flatMap(({ left, right }) => [left, right])),
+        selectColumns: columnsOf(usage.projections),
+        aggregations: usage.aggregations.filter(onTable)
+      };
+    };
+
+    const weight = table => [
+      ...usage.predicates.filter(predicate => predicate.kind !== 'other'),
+      ...usage.joins.flatMap(({ left, right }) => [left, right]),
+      ...usage.sorts.flat()
+    ].filter(ref => ownerOf(ref) === table).reduce((sum, ref) => sum + weightOf(ref), 0);
+    const tables = [...new Set([...(tableName ? [tableName] : []), ...usage.referencedTables])]
+      .sort((a, b) => (b === tableName) - (a === tableName) || weight(b) - weight(a));
+
+    const tablePatterns = Object.fromEntries(tables.map(table => [table, patternsFor(table)]));
+    const patterns = tablePatterns[tables[0]] || patternsFor(null);
+
+    // The indexes already in place (and so which join columns are indexed), and which foreign keys aren't
+    const foreignKeys = tables.length > 0
+      ? await this.readCatalog(() => this.tigerService.getForeignKeys(tables), 'Foreign key lookup failed', onEvent)
+      : null;
+    const existingIndexes = tables.length > 0
+      ? await this.readCatalog(() => this.tigerService.getIndexes(tables), 'Index lookup failed', onEvent)
+      : null;
+    const indexedColumns = Object.fromEntries(Object.entries(existingIndexes || {}).map(([table, indexes]) =>
+      [table, [...new Set(indexes.filter(index => !index.predicate).map(index => index.keys[0]))]]));
+
     return {
-      tableName,
+      tableName: tables[0] || tableName || null,
+      tables,
+      tablePatterns,
       patterns,
+      foreignKeys: foreignKeys || [],
+      existingIndexes: existingIndexes || {},
+      indexedColumns,
+      compositeOrderings: await this.compositeOrderings(usage, ownerOf, tables, weightOf, onEvent),
+      coveringCandidates: this.coveringCandidates(usage, ownerOf),
+      partialPredicates: await this.partialPredicates(usage, ownerOf, onEvent),
+      ginCandidates: this.ginCandidates(usage, ownerOf, columnTypes || {}),
+      brinCandidates: await this.brinCandidates(usage, ownerOf, onEvent),
+      usage,
       queryCount: queries.length,
-      complexity: this.assessComplexity(patterns)
+      complexity: this.assessComplexity(Object.values(tablePatterns))
     };
   }
 
-  generateBasicStrategy(analysis) {
-    const { patterns, tableName } = analysis;
+  // Per query block and table: the key columns an index needs (equality and join columns, then one
+  // range column or else the sort columns) and every other column the block reads from that table.
+  // Blocks reading * from the table, or too many other columns, can't be covered
+  coveringCandidates(usage, ownerOf) {
+    const entries = new Map(); // `${block}:${table}` -> entry
+    const starBlocks = new Map(); // block -> tables read with * (null: every table)
+
+    const entryFor = ref => {
+      const table = ownerOf(ref);
+      if (!table || ref.block === undefined) return null;
+
+      const key = `${ref.block}:${table}`;
+      if (!entries.has(key)) {
+        entries.set(key, {
+          table,
+          block: ref.block,
+          queryIndex: usage.blocks[ref.block].queryIndex,
+          equality: new Set(),
+          range: new Set(),
+          sort: new Set(),
+          read: new Set()
+        });
+      }
+      return entries.get(key);
+    };
+    const add = (ref, role) => {
+      if (ref.column === '*') {
+        if (role === 'read') {
+          starBlocks.set(ref.block, [...(starBlocks.get(ref.block) || []), ownerOf(ref)]);
+        }
+        return;
+      }
+      entryFor(ref)?.[role].add(ref.column);
+    };
+
+    // Expressions (lower(email) = ...) and patterns can't use a plain key column
+    usage.predicates.forEach(predicate => add(predicate,
+      predicate.function || predicate.expression || !['equality', 'range'].includes(predicate.kind) ? 'read' : predicate.kind));
+    usage.joins.forEach(({ left, right }) => {
+      add(left, 'equality');
+      add(right, 'equality');
+    });
+    usage.sorts.flat().forEach(key => add(key, key.expression ? 'read' : 'sort'));
+    [...usage.groupings.flat(), ...usage.projections, ...usage.aggregations].forEach(ref => add(ref, 'read'));
+
+    const candidates = [];
+    for (const entry of entries.values()) {
+      const stars = starBlocks.get(entry.block) || [];
+      if (stars.includes(null) || stars.includes(entry.table)) continue;
+
+      const [range] = entry.range;
+      const keys = [...entry.equality, ...(range ? [range] : [...entry.sort])]
+        .filter((column, i, all) => all.indexOf(column) === i)
+        .slice(0, MAX_KEY_COLUMNS);
+      const include = [...entry.range, ...entry.sort, ...entry.read]
+        .filter((column, i, all) => !keys.includes(column) && all.indexOf(column) === i);
+
+      if (keys.length === 0 || include.length === 0 || include.length > MAX_INCLUDE_COLUMNS) continue;
+      candidates.push({ table: entry.table, queryIndex: entry.queryIndex, keys, include });
+    }
+    return candidates;
+  }
+
+  // Composite key orders per table, preferred first, for the query block using the most of its
+  // columns together (the most called such block, by weightOf): equality columns, most selective first (fewest
+  // rows per value by pg_stats n_distinct and null_frac), then one range column - a range condition
+  // stops the scan from using later columns - or else the ORDER BY keys. Ties between equality
+  // columns, several range columns and a range column competing with a sort add alternatives
+  async compositeOrderings(usage, ownerOf, tables, weightOf, onEvent) {
+    // Columns used together in one query block; each table gets the most called block using two or
+    // more of them, or else the one with the most
+    const blocks = new Map(); // `${block}:${table}` -> { table, calls, equality, range, sort }
+    const add = (ref, role) => {
+      const table = ownerOf(ref);
+      if (!tables.includes(table) || ref.expression || ref.column === '*' || ref.block === undefined) return;
+      const key = `${ref.block}:${table}`;
+      if (!blocks.has(key)) blocks.set(key, { table, calls: weightOf(ref), equality: [], range: [], sort: [] });
+      const entry = blocks.get(key);
+      if (!entry[role].includes(ref.column)) entry[role].push(ref.column);
+    };
+    usage.predicates
+      .filter(predicate => predicate.conjunct && ['equality', 'range'].includes(predicate.kind))
+      .forEach(predicate => add(predicate, predicate.kind));
+    usage.sorts.flat().forEach(key => add(key, 'sort'));
+
+    const size = ({ equality, range, sort }) => new Set([...equality, ...range, ...sort]).size;
+    const columns = {};
+    const rank = entry => [Math.min(size(entry), 2), size(entry) >= 2 ? entry.calls : 0, size(entry)];
+    const better = (a, b) => {
+      const [x, y] = [rank(a), rank(b)];
+      const i = x.findIndex((value, j) => value !== y[j]);
+      return i !== -1 && x[i] > y[i];
+    };
+    for (const entry of blocks.values()) {
+      if (!columns[entry.table] || better(entry, columns[entry.table])) columns[entry.table] = entry;
+    }
+
+    const wanted = Object.values(columns).flatMap(({ table, equality }) => equality.map(column => ({ table, column })));
+    const stats = wanted.length > 0
+      ? await this.readCatalog(() => this.tigerService.getColumnStats(wanted), 'Column statistics lookup failed, ordering composite keys without them', onEvent)
+      : null;
+    const sizes = wanted.length > 0
+      ? await this.readCatalog(() => this.tigerService.getTableSizes(tables), 'Table size lookup failed, ordering composite keys without it', onEvent)
+      : null;
+
+    return Object.fromEntries(Object.values(columns).map(({ table, equality, range, sort }) => {
+      // Rows an equality match leaves, as a share of the table; null without statistics
+      const selectivity = column => {
+        const columnStats = stats?.[table]?.[column];
+        const tuples = sizes?.[table]?.tuples;
+        if (!columnStats || !columnStats.nDistinct) return null;
+        // Negative n_distinct is a fraction of the rows, for columns that grow with the table
+        const distinct = columnStats.nDistinct > 0 ? columnStats.nDistinct : -columnStats.nDistinct * (tuples || 0);
+        return distinct > 0 ? (1 - columnStats.nullFrac) / distinct : null;
+      };
+      const describe = column => {
+        const value = selectivity(column);
+        if (value === null) return `equality filter with no pg_stats to rank it (ANALYZE ${table})`;
+        const { nDistinct, nullFrac } = stats[table][column];
+        const tuples = sizes?.[table]?.tuples;
+        const distinct = nDistinct > 0 ? nDistinct : Math.round(-nDistinct * tuples);
+        return `equality filter, ${distinct} distinct values${nullFrac > 0 ? ` and ${(nullFrac * 100).toFixed(0)}% null` : ''}`
+          + (tuples ? ` - about ${Math.max(1, Math.round(value * tuples))} row(s) per value` : '');
+      };
+
+      // Too close to call, or not known
+      const tied = (first, second) => {
+        const [a, b] = [selectivity(first), selectivity(second)];
+        return a === null || b === null || b / a < SELECTIVITY_TIE_RATIO;
+      };
+
+      const ranked = [...equality].sort((a, b) => (selectivity(a) ?? Infinity) - (selectivity(b) ?? Infinity));
+      const tails = [
+        ...range.slice(0, 2).map(column => ({ column, role: sort[0] === column ? 'range-sort' : 'range' })),
+        ...(sort.length > 0 && !range.includes(sort[0]) ? [{ columns: sort, role: 'sort' }] : [])
+      ];
+
+      const ordering = (keys, tail, note = null) => {
+        const positions = keys.map((column, i) => ({
+          column,
+          role: 'equality',
+          reason: (i === 0
+            ? `leads as the ${keys.length > 1 ? 'most selective ' : ''}${describe(column)}`
+            : `${describe(column)}, ${tied(keys[i - 1], column) ? 'about as selective as' : 'less selective than'} ${keys[i - 1]}`)
+            + (note?.column === column ? `; ${note.text}` : '')
+        }));
+        if (tail?.role === 'sort') {
+          tail.columns.filter(column => !keys.includes(column)).forEach(column => positions.push({
+            column,
+            role: 'sort',
+            reason: keys.length > 0 ? 'ORDER BY key after the equality columns, so matching rows come out already sorted' : 'ORDER BY key, so rows come out already sorted'
+          }));
+        } else if (tail && !keys.includes(tail.column)) {
+          positions.push({
+            column: tail.column,
+            role: 'range',
+            reason: (tail.role === 'range-sort' ? 'range filter and ORDER BY key' : 'range filter')
+              + (keys.length > 0 ? ' after the equality columns - columns after a range condition can\'t narrow the scan' : '')
+              + (tail.role === 'range-sort' ? ', and rows come out already sorted' : '')
+              + (note?.column === tail.column ? `; ${note.text}` : '')
+          });
+        }
+        return positions.slice(0, MAX_KEY_COLUMNS);
+      };
+
+      const keyCount = Math.min(ranked.length, tails.length > 0 ? MAX_KEY_COLUMNS - 1 : MAX_KEY_COLUMNS);
+      const keys = ranked.slice(0, keyCount);
+      const orderings = [ordering(keys, tails[0])];
+
+      // Neighbouring equality columns about as selective as each other: try them the other way round
+      for (let i = 0; i + 1 < keys.length; i++) {
+        if (!tied(keys[i], keys[i + 1])) continue;
+        const swapped = [...keys];
+        [swapped[i], swapped[i + 1]] = [swapped[i + 1], swapped[i]];
+        orderings.push(ordering(swapped, tails[0]));
+        orderings[0][i].reason += `; ${keys[i + 1]} first is tested too`;
+      }
+      // Another range column, or the sort a range column displaces
+      tails.slice(1).forEach(tail => orderings.push(ordering(keys, tail, {
+        column: tail.column || tail.columns[0],
+        text: `tested instead of ${tails[0].column}`
+      })));
+      if (tails.length > 1) {
+        orderings[0][orderings[0].length - 1].reason += `; ${tails.slice(1).map(tail => tail.column || tail.columns.join(', ')).join(' and ')} tested in its place`;
+      }
+
+      // A single column is the single-column strategy's job
+      return [table, orderings.filter(positions => positions.length > 1).slice(0, MAX_ORDERING_ALTERNATIVES + 1)];
+    }));
+  }
+
+  // Catalog lookups on the base database are best effort: null when there is none or it can't be read
+  async readCatalog(read, failureMessage, onEvent) {
+    if (!this.tigerService?.baseConnectionString) {
+      return null;
+    }
+
+    try {
+      return await read();
+    } catch (error) {
+      onEvent({ type: 'step_failed', message: `${failureMessage}: ${error.message}` });
+      return null;
+    }
+  }
+
+  // Proposed indexes an existing one already provides are skipped - duplicates, and left prefixes of a
+  // wider existing B-tree. The rest note the existing indexes they would make redundant, except those
+  // backing a constraint
+  reconcileWithExisting(strategy, analysis, onEvent) {
+    const skippedIndexes = [];
+    const indexes = strategy.indexes.flatMap(index => {
+      const existing = analysis.existingIndexes[index.table] || [];
+      const shape = this.indexShape(index);
+
+      const provider = existing.find(other => this.provides(this.indexShape(other), shape));
+      if (provider) {
+        const reason = provider.keys.length === shape.keys.length
+          ? `duplicates existing index ${provider.name}`
+          : `existing index ${provider.name} (${provider.keys.join(', ')}) already serves it as a left prefix`;
+        skippedIndexes.push({ name: index.name, sql: index.sql, table: index.table, existing: provider.name, reason });
+        onEvent({ type: 'step_finished', strategy: strategy.id, message: `Skipped ${index.name}: ${reason}` });
+        return [];
+      }
+
+      // Consolidation already drops what its indexes replace
+      const redundant = index.replaces ? [] : existing.filter(other => !other.constraint && this.provides(shape, this.indexShape(other)));
+      if (redundant.length === 0) {
+        return [index];
+      }
+      const names = redundant.map(other => other.name);
+      onEvent({ type: 'step_finished', strategy: strategy.id, message: `${index.name} would make existing ${names.join(', ')} redundant` });
+      return [{
+        ...index,
+        makesRedundant: names,
+        rationale: `${index.rationale}; makes existing ${redundant.map(other => `${other.name} (${other.keys.join(', ')})`).join(', ')} redundant as a left prefix - drop it once this index is in place`
+      }];
+    });
+
+    return { ...strategy, indexes, skippedIndexes };
+  }
+
+  // Method, keys, INCLUDE columns and predicate of a proposed index or a catalog one, normalized
+  indexShape(index) {
+    const method = index.method || (index.type.startsWith('gin') ? 'gin' : index.type === 'brin' ? 'brin' : 'btree');
+    const keys = index.keys || (index.expression ? [index.expression] : index.columns);
+    return {
+      method,
+      unique: Boolean(index.unique),
+      keys: keys.map(normalizeSql),
+      include: (index.include || []).map(normalizeSql),
+      predicate: index.predicate ? normalizeSql(index.predicate) : null
+    };
+  }
+
+  // Whether index a answers every lookup index b does, and enforces whatever b enforces.
+  // A B-tree serves any left prefix of its keys; other methods only match exactly
+  provides(a, b) {
+    if (a.method !== b.method || a.predicate !== b.predicate || (b.unique && !a.unique)) return false;
+    const keysFit = a.method === 'btree' ? a.keys.length >= b.keys.length : a.keys.length === b.keys.length;
+    return keysFit
+      && b.keys.every((key, i) => a.keys[i] === key)
+      && b.include.every(column => a.keys.includes(column) || a.include.includes(column));
+  }
+
+  // Join columns worth indexing on `table`: the inner side of a workload join, i.e. a column that
+  // doesn't already lead an index (primary keys do). Foreign-key columns come first
+  joinKeys(analysis, table) {
+    const indexed = analysis.indexedColumns[table] || [];
+    const isForeignKey = column => analysis.foreignKeys.some(fk => fk.table === table && fk.columns[0] === column);
+
+    return [...analysis.tablePatterns[table].joinColumns]
+      .filter(column => !indexed.includes(column))
+      .sort((a, b) => isForeignKey(b) - isForeignKey(a));
+  }
+
+  // Unindexed foreign keys on `table` whose columns the workload joins on
+  unindexedForeignKeys(analysis, table) {
+    const { joinColumns } = analysis.tablePatterns[table];
+    return analysis.foreignKeys.filter(fk =>
+      fk.table === table && !fk.indexed && fk.columns.every(column => joinColumns.has(column)));
+  }
+
+  joinKeyIndexes(analysis, tableSlug, table) {
     const indexes = [];
 
-    // Sanitize table name to prevent SQL injection
-    const sanitizedTableName = this.sanitizeIdentifier(tableName);
+    // Multi-column foreign keys get one index on the whole key
+    for (const fk of this.unindexedForeignKeys(analysis, table).filter(fk => fk.columns.length > 1)) {
+      const name = `idx_${tableSlug}_${fk.columns.map(slugOf).join('_')}`;
+      indexes.push({
+        name,
+        sql: `CREATE INDEX ${name} ON ${quoteIdentifier(table)} (${fk.columns.map(quoteIdentifier).join(', ')});`,
+        type: 'btree',
+        columns: fk.columns,
+        table,
+        rationale: `Join key for foreign key ${fk.constraint} to ${fk.referencedTable}, which has no supporting index`
+      });
+    }
 
-    // Strategy A: Single-column indexes on most frequent WHERE columns
-    Array.from(patterns.whereColumns).slice(0, 2).forEach(column => {
-      const sanitizedColumn = this.sanitizeIdentifier(column);
+    this.joinKeys(analysis, table).slice(0, 2).forEach(column => {
+      const fk = analysis.foreignKeys.find(key => key.table === table && key.columns.length === 1 && key.columns[0] === column);
+      const name = `idx_${tableSlug}_${slugOf(column)}`;
       indexes.push({
-        name: `idx_${sanitizedTableName}_${sanitizedColumn}`,
-        sql: `CREATE INDEX idx_${sanitizedTableName}_${sanitizedColumn} ON ${sanitizedTableName} (${sanitizedColumn});`,
+        name,
+        sql: `CREATE INDEX ${name} ON ${quoteIdentifier(table)} (${quoteIdentifier(column)});`,
         type: 'btree',
         columns: [column],
-        rationale: `Single-column index for WHERE clause filtering on ${column}`
+        table,
+        rationale: fk
+          ? `Join key ${table}.${column}: foreign key to ${fk.referencedTable} with no supporting index`
+          : `Join key ${table}.${column}: inner side of a join, not covered by an existing index`
+      });
+    });
+
+    return indexes;
+  }
+
+  // Control group: the workload against the existing indexes only
+  generateBaselineStrategy() {
+    return {
+      name: 'Baseline (Existing Indexes)',
+      description: 'No new indexes - measures the workload as it runs today',
+      indexes: [],
+      estimatedSize: 0,
+      complexity: 'none'
+    };
+  }
+
+  generateBasicStrategy(analysis) {
+    const indexes = [];
+
+    this.forEachTable(analysis, (patterns, tableSlug, table) => {
+      indexes.push(...this.joinKeyIndexes(analysis, tableSlug, table));
+
+      // Strategy A: Single-column indexes on most frequent WHERE columns
+      Array.from(patterns.btreeColumns).slice(0, 2).forEach(column => {
+        const name = `idx_${tableSlug}_${slugOf(column)}`;
+        // Already proposed as a join key
+        if (indexes.some(index => index.name === name)) return;
+        indexes.push({
+          name,
+          sql: `CREATE INDEX ${name} ON ${quoteIdentifier(table)} (${quoteIdentifier(column)});`,
+          type: 'btree',
+          columns: [column],
+          table,
+          rationale: `Single-column index for WHERE clause filtering on ${table}.${column}`
+        });
       });
+
+      indexes.push(...this.expressionIndexes(patterns, tableSlug, table));
     });
 
     return {
       name: 'Basic Single-Column Strategy',
-      description: 'Simple single-column B-tree indexes on most queried columns',
+      description: 'Simple single-column B-tree indexes on join keys, most queried columns and expressions',
       indexes,
-      estimatedSize: indexes.length * 50, // MB estimate
       complexity: 'low'
     };
   }
 
-  generateAdvancedStrategy(analysis) {
-    const { patterns, tableName } = analysis;
+  // variant picks one of the competing composite key orders (0: the preferred one) on tables that have them
+  generateAdvancedStrategy(analysis, variant = 0) {
     const indexes = [];
 
-    // Sanitize table name to prevent SQL injection
-    const sanitizedTableName = this.sanitizeIdentifier(tableName);
+    this.forEachTable(analysis, (patterns, tableSlug, table) => {
+      // Strategy B: Composite indexes optimized for query patterns
+      const whereColumns = Array.from(patterns.btreeColumns);
+      const orderColumns = Array.from(patterns.orderByColumns);
 
-    // Strategy B: Composite indexes optimized for query patterns
-    const whereColumns = Array.from(patterns.whereColumns);
-    const orderColumns = Array.from(patterns.orderByColumns);
+      const orderings = analysis.compositeOrderings[table] || [];
+      const positions = orderings[variant] || orderings[0];
+      if (positions) {
+        const compositeColumns = positions.map(({ column }) => column);
+        indexes.push({
+          name: `idx_${tableSlug}_composite`,
+          sql: `CREATE INDEX idx_${tableSlug}_composite ON ${quoteIdentifier(table)} (${compositeColumns.map(quoteIdentifier).join(', ')});`,
+          type: 'btree',
+          columns: compositeColumns,
+          positions,
+          table,
+          rationale: `Composite index ordered for the workload: ${positions.map(({ column, reason }, i) => `${i + 1}. ${column}: ${reason}`).join('; ')}`
+        });
+      }
 
-    if (whereColumns.length > 0 && orderColumns.length > 0) {
-      // Composite index: WHERE columns + ORDER BY columns
-      const compositeColumns = [...whereColumns.slice(0, 2), ...orderColumns.slice(0, 1)];
-      const sanitizedCompositeColumns = compositeColumns.map(col => this.sanitizeIdentifier(col));
-      indexes.push({
-        name: `idx_${sanitizedTableName}_composite`,
-        sql: `CREATE INDEX idx_${sanitizedTableName}_composite ON ${sanitizedTableName} (${sanitizedCompositeColumns.join(', ')});`,
-        type: 'btree',
-        columns: compositeColumns,
-        rationale: 'Composite index covering WHERE filtering and ORDER BY sorting'
-      });
-    }
+      // Join key first so the inner side of the join is probed by key, then narrowed by the
+      // table's own filter or sort
+      const [joinKey] = this.joinKeys(analysis, table);
+      const extra = [...whereColumns, ...orderColumns].find(column => column !== joinKey);
+      if (joinKey && extra) {
+        const name = `idx_${tableSlug}_${slugOf(joinKey)}_${slugOf(extra)}`;
+        indexes.push({
+          name,
+          sql: `CREATE INDEX ${name} ON ${quoteIdentifier(table)} (${quoteIdentifier(joinKey)}, ${quoteIdentifier(extra)});`,
+          type: 'btree',
+          columns: [joinKey, extra],
+          table,
+          rationale: `Composite join index: join key ${joinKey} followed by ${whereColumns.includes(extra) ? 'filter' : 'sort'} column ${extra}`
+        });
+      }
+    });
 
     // Partial index for common WHERE conditions
-    if (whereColumns.length > 0) {
-      const mainColumn = whereColumns[0];
-      const sanitizedColumn = this.sanitizeIdentifier(mainColumn);
-      indexes.push({
-        name: `idx_${sanitizedTableName}_${sanitizedColumn}_partial`,
-        sql: `CREATE INDEX idx_${sanitizedTableName}_${sanitizedColumn}_partial ON ${sanitizedTableName} (${sanitizedColumn}) WHERE ${sanitizedColumn} IS NOT NULL;`,
-        type: 'btree_partial',
-        columns: [mainColumn],
-        rationale: `Partial index on ${mainColumn} excluding NULL values for better selectivity`
-      });
-    }
+    indexes.push(...this.buildPartialIndexes(analysis));
 
     return {
-      name: 'Advanced Composite Strategy',
-      description: 'Optimized composite and partial indexes for complex query patterns',
+      name: variant > 0 ? `Advanced Composite Strategy (alternative order ${variant})` : 'Advanced Composite Strategy',
+      description: variant > 0
+        ? 'The composite strategy with a competing key order on tables where statistics leave it open'
+        : 'Optimized composite and partial indexes for complex query patterns',
       indexes,
-      estimatedSize: indexes.length * 75, // MB estimate
       complexity: 'high'
     };
   }
 
-  extractColumnsFromWhere(whereClause) {
-    // Simple extraction - in production, use a proper SQL parser
-    const columns = [];
-    const patterns = [
-      /(\w+)\s*[=<>!]/g,
-      /(\w+)\s+in\s*\(/gi,
-      /(\w+)\s+like/gi,
-      /(\w+)\s+between/gi
-    ];
+  generatePartialStrategy(analysis) {
+    const indexes = this.buildPartialIndexes(analysis);
 
-    patterns.forEach(pattern => {
-      let match;
-      while ((match = pattern.exec(whereClause)) !== null) {
-        columns.push(match[1]);
-      }
+    return {
+      name: 'Partial Index Strategy',
+      description: 'Partial indexes that skip rows the workload never filters on',
+      indexes,
+      complexity: 'medium'
+    };
+  }
+
+  buildPartialIndexes(analysis) {
+    return analysis.partialPredicates.map(({ table, column, operator, value, fraction, keys, queryIndexes }) => {
+      // value is a literal rendered by the SQL analyzer, not raw query text
+      const condition = `${quoteIdentifier(column)} ${operator}${value ? ` ${value}` : ''}`;
+      const name = `idx_${slugOf(table)}_${keys.map(slugOf).join('_')}_where_${slugOf(column)}_${slugOf(`${operator === '=' ? value : operator}`)}`.slice(0, 63).replace(/_+$/, '');
+
+      return {
+        name,
+        sql: `CREATE INDEX ${name} ON ${quoteIdentifier(table)} (${keys.map(quoteIdentifier).join(', ')}) WHERE ${condition};`,
+        type: 'btree_partial',
+        columns: keys,
+        predicate: condition,
+        fraction,
+        table,
+        rationale: `Partial index for ${condition}: pg_stats puts it at ${(fraction * 100).toFixed(1)}% of ${table}, and every query filtering on ${column} uses this same condition (queries ${queryIndexes.map(i => i + 1).join(', ')})`
+      };
     });
+  }
+
+  // Columns (or expressions) filtered in ways only a GIN index serves:
+  //   trigram        - LIKE/ILIKE that isn't a plain prefix match, and regular expressions
+  //   tsvector       - @@ on a tsvector column or a to_tsvector(config, ...) expression
+  //   jsonb_path_ops - only @> on a jsonb column (smaller and faster than the default opclass)
+  //   jsonb_ops      - key-existence operators (?, ?|, ?&) on a jsonb column
+  //   array          - @>, <@ and && on an array column
+  // Column types come from the catalog; without it the other operand decides (ARRAY[...] or a cast to
+  // an array type, a cast to jsonb), ? is taken as jsonb and && as an array, and a @> or <@ that shows
+  // neither is skipped - the wrong opclass would fail to build
+  ginCandidates(usage, ownerOf, columnTypes) {
+    const candidates = new Map(); // table + key -> candidate
+    const add = (predicate, method) => {
+      const table = ownerOf(predicate);
+      if (!table) return;
+
+      const key = predicate.expression || predicate.column;
+      const id = `${table}:${key}`;
+      const candidate = candidates.get(id) || { table, column: predicate.column, expression: predicate.expression || null, method, operators: [], queryIndexes: [] };
+      // Key lookups need the default jsonb opclass, which also serves @>
+      if (method === 'jsonb_ops') candidate.method = method;
+      if (!candidate.operators.includes(predicate.operator)) candidate.operators.push(predicate.operator);
+      const { queryIndex } = usage.blocks[predicate.block];
+      if (!candidate.queryIndexes.includes(queryIndex)) candidate.queryIndexes.push(queryIndex);
+      candidates.set(id, candidate);
+    };
+
+    for (const predicate of usage.predicates) {
+      const type = columnTypes[ownerOf(predicate)]?.[predicate.column];
+
+      if (predicate.kind === 'pattern') {
+        if (predicate.operator.startsWith('!') || (type && !['text', 'varchar', 'bpchar', 'citext'].includes(type))) continue;
+        // A case-sensitive LIKE 'abc%' is a range scan a B-tree already handles
+        const prefixOnly = predicate.operator === '~~' && predicate.value && /^'[^%_]+%'$/.test(predicate.value);
+        if (!prefixOnly) add(predicate, 'trigram');
+      } else if (predicate.kind === 'search') {
+        const indexable = predicate.expression
+          ? /^to_tsvector\('[^']+', /.test(predicate.expression) // to_tsvector(text) depends on a setting, so it isn't immutable
+          : !type || type === 'tsvector';
+        if (indexable) add(predicate, 'tsvector');
+      } else if (predicate.kind === 'containment' && !predicate.expression) {
+        const keyLookup = ['?', '?|', '?&'].includes(predicate.operator);
+        const kind = type
+          ? (type.startsWith('_') ? 'array' : type === 'jsonb' ? 'jsonb' : null)
+          : predicate.operand || (predicate.operator === '&&' ? 'array' : keyLookup ? 'jsonb' : null);
+        if (kind === 'array' && ['@>', '<@', '&&'].includes(predicate.operator)) {
+          add(predicate, 'array');
+        } else if (kind === 'jsonb' && (keyLookup || predicate.operator === '@>')) {
+          // Neither jsonb opclass serves <@
+          add(predicate, keyLookup ? 'jsonb_ops' : 'jsonb_path_ops');
+        }
+      }
+    }
+    return [...candidates.values()];
+  }
+
+  // Range-filtered columns whose values follow the table's physical order (append-only timestamps and
+  // ids): |pg_stats.correlation| of at least MIN_BRIN_CORRELATION, on tables of MIN_BRIN_PAGES or more
+  async brinCandidates(usage, ownerOf, onEvent) {
+    const ranges = new Map(); // table.column -> { table, column, queryIndexes }
+    for (const predicate of usage.predicates) {
+      const table = ownerOf(predicate);
+      if (!table || predicate.kind !== 'range' || predicate.expression) continue;
+
+      const key = `${table}.${predicate.column}`;
+      const range = ranges.get(key) || { table, column: predicate.column, queryIndexes: [] };
+      const { queryIndex } = usage.blocks[predicate.block];
+      if (!range.queryIndexes.includes(queryIndex)) range.queryIndexes.push(queryIndex);
+      ranges.set(key, range);
+    }
+    if (ranges.size === 0) {
+      return [];
+    }
+
+    const columns = [...ranges.values()];
+    const stats = await this.readCatalog(() => this.tigerService.getColumnStats(columns), 'Column statistics lookup failed, skipping BRIN indexes', onEvent);
+    const sizes = await this.readCatalog(() => this.tigerService.getTableSizes([...new Set(columns.map(({ table }) => table))]), 'Table size lookup failed, skipping BRIN indexes', onEvent);
+    if (!stats || !sizes) {
+      return [];
+    }
 
-    return [...new Set(columns)]; // Remove duplicates
+    return columns.flatMap(({ table, column, queryIndexes }) => {
+      const correlation = stats[table]?.[column]?.correlation;
+      const size = sizes[table];
+      if (correlation == null || !size || Math.abs(correlation) < MIN_BRIN_CORRELATION || size.pages < MIN_BRIN_PAGES) {
+        return [];
+      }
+
+      const pagesPerRange = this.brinPagesPerRange(size.pages, correlation);
+      return [{ table, column, correlation, pages: size.pages, tableBytes: size.bytes, pagesPerRange, queryIndexes }];
+    });
   }
 
-  extractColumnsFromOrderBy(orderClause) {
-    return orderClause
-      .split(',')
-      .map(col => col.trim().split(/\s+/)[0])
-      .filter(col => col && !['asc', 'desc'].includes(col.toLowerCase()));
+  // Smaller ranges prune more precisely but make a bigger index. Imperfect correlation makes
+  // neighbouring ranges overlap, so those get halved
+  brinPagesPerRange(pages, correlation) {
+    let pagesPerRange = 2 ** Math.round(Math.log2(pages / BRIN_TARGET_RANGES));
+    if (Math.abs(correlation) < 0.98) pagesPerRange /= 2;
+    return Math.min(128, Math.max(8, pagesPerRange));
   }
 
-  extractColumnsFromJoin(joinClause) {
-    const match = joinClause.match(/on\s+(.+)/);
-    if (!match) return [];
+  // Literal filters a partial index can be restricted to: equality filters ANDed into their query
+  // (status = 'completed', is_active, deleted_at IS NULL) whose column is compared to nothing else
+  // anywhere in the workload, and that pg_stats says match at most MAX_PARTIAL_FRACTION of the rows.
+  // keys: the other columns the same queries filter or sort that table on
+  async partialPredicates(usage, ownerOf, onEvent) {
+    const groups = new Map(); // table.column -> equality predicates on it
+    for (const predicate of usage.predicates) {
+      const table = ownerOf(predicate);
+      if (!table || predicate.expression || predicate.kind !== 'equality') continue;
+      const key = `${table}.${predicate.column}`;
+      groups.set(key, [...(groups.get(key) || []), { ...predicate, table }]);
+    }
+
+    const candidates = [];
+    for (const predicates of groups.values()) {
+      const conditions = new Set(predicates.map(({ operator, value, conjunct }) =>
+        conjunct && (operator !== '=' || value) ? `${operator} ${value || ''}` : null));
+      if (conditions.size !== 1 || conditions.has(null)) continue;
+
+      const [{ table, column, operator, value }] = predicates;
+      candidates.push({ table, column, operator, value, predicates });
+    }
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const stats = await this.readCatalog(
+      () => this.tigerService.getColumnStats(candidates),
+      'Column statistics lookup failed, skipping partial indexes',
+      onEvent
+    );
+    if (!stats) {
+      return [];
+    }
+
+    const partial = [];
+    for (const { table, column, operator, value, predicates } of candidates) {
+      const columnStats = stats[table]?.[column];
+      if (!columnStats) {
+        onEvent({ type: 'step_finished', message: `No statistics for ${table}.${column} - ANALYZE ${table} to consider partial indexes on it` });
+        continue;
+      }
+
+      const fraction = this.matchingFraction(columnStats, operator, value);
+      if (fraction === null || fraction > MAX_PARTIAL_FRACTION) continue;
 
-    const condition = match[1];
-    const columns = [];
-    const eqMatches = condition.match(/(\w+)\s*=\s*(\w+)/g);
-    
-    if (eqMatches) {
-      eqMatches.forEach(eq => {
-        const parts = eq.split('=').map(p => p.trim());
-        columns.push(...parts);
+      const blocks = new Set(predicates.map(predicate => predicate.block));
+      const inBlocks = ref => blocks.has(ref.block) && ownerOf(ref) === table && ref.column !== column && !ref.expression;
+      const keys = [
+        ...usage.predicates.filter(inBlocks).filter(ref => ref.kind === 'equality'),
+        ...usage.predicates.filter(inBlocks).filter(ref => ref.kind === 'range'),
+        ...usage.sorts.flat().filter(inBlocks)
+      ].map(ref => ref.column).filter((key, i, all) => all.indexOf(key) === i).slice(0, 2);
+
+      partial.push({
+        table,
+        column,
+        operator,
+        value: value || null,
+        fraction,
+        keys: keys.length > 0 ? keys : [column],
+        queryIndexes: [...new Set([...blocks].map(block => usage.blocks[block].queryIndex))]
       });
     }
+    return partial;
+  }
 
-    return columns;
+  // Share of rows pg_stats expects to match; only values among the most common ones are estimated -
+  // a rarer literal filters too few rows to be a useful partial index predicate
+  matchingFraction({ nullFrac, mostCommonVals, mostCommonFreqs }, operator, value) {
+    if (operator === 'IS NULL') return nullFrac;
+    if (operator === 'IS NOT NULL') return 1 - nullFrac;
+
+    const position = mostCommonVals.indexOf(literalText(value));
+    return position === -1 ? null : mostCommonFreqs[position];
   }
 
-  assessComplexity(patterns) {
-    let score = 0;
-    score += patterns.whereColumns.size * 2;
-    score += patterns.orderByColumns.size * 1.5;
-    score += patterns.joinColumns.size * 3;
+  generateGinStrategy(analysis) {
+    const indexes = analysis.ginCandidates.map(({ table, column, expression, method, operators, queryIndexes }) => {
+      const { opclass, extension, label } = GIN_METHODS[method];
+      // expression was rendered by the SQL analyzer; plain columns are quoted
+      const key = expression ? `(${expression})` : quoteIdentifier(column);
+      const name = `idx_${slugOf(table)}_${slugOf(expression || column)}`.slice(0, 58).replace(/_+$/, '') + (method === 'trigram' ? '_trgm' : '_gin');
 
-    if (score < 5) return 'low';
-    if (score < 15) return 'medium';
-    return 'high';
+      return {
+        name,
+        sql: `CREATE INDEX ${name} ON ${quoteIdentifier(table)} USING gin (${key}${opclass ? ` ${opclass}` : ''});`,
+        type: `gin_${method}`,
+        columns: [column],
+        ...(expression ? { expression } : {}),
+        ...(extension ? { extension } : {}),
+        table,
+        rationale: `GIN ${label} index on ${expression || `${table}.${column}`} for ${operators.join(', ')} (queries ${queryIndexes.map(i => i + 1).join(', ')}) - a B-tree can't serve these operators`
+      };
+    });
+
+    return {
+      name: 'GIN Index Strategy',
+      description: 'GIN indexes for pattern matching, full-text search, jsonb and array containment',
+      indexes,
+      complexity: 'medium'
+    };
   }
 
-  /**
-   * Sanitize SQL identifiers to prevent SQL injection
-   * Allows only alphanumeric characters and underscores
-   * Prevents reserved keywords
-   */
-  sanitizeIdentifier(identifier) {
-    if (!identifier || typeof identifier !== 'string') {
-      throw new Error('Invalid identifier');
-    }
+  generateBrinStrategy(analysis) {
+    const indexes = analysis.brinCandidates.map(({ table, column, correlation, pages, tableBytes, pagesPerRange, queryIndexes }) => {
+      const name = `idx_${slugOf(table)}_${slugOf(column)}_brin`;
+      // One summary tuple (min/max, ~32 bytes) per range, plus the metapage and range map
+      const estimatedBytes = Math.ceil(pages / pagesPerRange) * 32 + 3 * 8192;
 
-    // Remove any characters that are not alphanumeric or underscore
-    const sanitized = identifier.replace(/[^a-zA-Z0-9_]/g, '');
+      return {
+        name,
+        sql: `CREATE INDEX ${name} ON ${quoteIdentifier(table)} USING brin (${quoteIdentifier(column)}) WITH (pages_per_range = ${pagesPerRange});`,
+        type: 'brin',
+        columns: [column],
+        pagesPerRange,
+        estimatedBytes,
+        table,
+        rationale: `BRIN on ${table}.${column} for range filters (queries ${queryIndexes.map(i => i + 1).join(', ')}): correlation ${correlation.toFixed(2)} with physical order over ${pages} pages (${(tableBytes / 1024 / 1024).toFixed(0)} MB), so ${pagesPerRange}-page ranges skip most of the table from an index of about ${(estimatedBytes / 1024).toFixed(0)} kB - at the cost of rechecking every row in a matching range`
+      };
+    });
+
+    return {
+      name: 'BRIN Strategy',
+      description: 'Block-range indexes for range filters on columns that follow the physical row order',
+      indexes,
+      complexity: 'low'
+    };
+  }
 
-    // Ensure it doesn't start with a number
-    if (/^[0-9]/.test(sanitized)) {
-      throw new Error('Identifier cannot start with a number');
+  // Fewer indexes for the same lookups: existing B-trees that another existing one provides are dropped,
+  // and on tables with a workload composite, one index on its keys replaces every existing B-tree it
+  // provides. Indexes backing a constraint, unique, partial and non-B-tree indexes stay
+  generateConsolidateStrategy(analysis) {
+    const indexes = [];
+    const drops = [];
+    const droppable = index => index.method === 'btree' && !index.constraint && !index.unique && !index.predicate;
+
+    this.forEachTable(analysis, (patterns, tableSlug, table) => {
+      const existing = analysis.existingIndexes[table] || [];
+      const providedBy = (shape, name) => existing.filter(other =>
+        other.name !== name && droppable(other) && !drops.some(dropped => dropped.name === other.name) && this.provides(shape, this.indexShape(other)));
+      const drop = (other, replacedBy, reason) => ({
+        name: other.name,
+        table,
+        sql: `DROP INDEX ${quoteIdentifier(other.name)};`,
+        replacedBy,
+        sizeBytes: other.sizeBytes,
+        reason
+      });
+
+      const [positions] = analysis.compositeOrderings[table] || [];
+      const columns = (positions || []).map(({ column }) => column);
+      const name = `idx_${tableSlug}_consolidated`;
+      const index = {
+        name,
+        sql: `CREATE INDEX ${name} ON ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')});`,
+        type: 'btree',
+        columns,
+        table
+      };
+      const shape = this.indexShape(index);
+      // Nothing to gain when an existing index already has these keys
+      const replaced = columns.length > 0 && !existing.some(other => this.provides(this.indexShape(other), shape))
+        ? providedBy(shape, null)
+        : [];
+      if (replaced.length > 0) {
+        indexes.push({
+          ...index,
+          replaces: replaced.map(other => other.name),
+          rationale: `Replaces ${replaced.map(other => `${other.name} (${other.keys.join(', ')})`).join(', ')}: (${columns.join(', ')}) serves their lookups as left prefixes as well as the workload's composite filter`
+        });
+        drops.push(...replaced.map(other => drop(other, name, `left prefix of ${name} (${columns.join(', ')})`)));
+      }
+
+      // Widest first, so a chain of prefixes collapses into its longest index
+      for (const keeper of [...existing].sort((a, b) => b.keys.length - a.keys.length)) {
+        if (drops.some(dropped => dropped.name === keeper.name)) continue;
+        providedBy(this.indexShape(keeper), keeper.name).forEach(other =>
+          drops.push(drop(other, keeper.name, `left prefix of existing ${keeper.name} (${keeper.keys.join(', ')})`)));
+      }
+    });
+
+    return {
+      name: 'Index Consolidation Strategy',
+      description: 'Drops existing indexes that a wider existing or new index already provides',
+      indexes,
+      drops,
+      complexity: 'medium'
+    };
+  }
+
+  generateCoveringStrategy(analysis) {
+    const indexes = [];
+
+    for (const candidate of analysis.coveringCandidates) {
+      const name = `idx_${slugOf(candidate.table)}_${candidate.keys.map(slugOf).join('_')}_covering`;
+
+      // Queries sharing the key columns share one index, as long as the payload stays small
+      const existing = indexes.find(index => index.name === name);
+      const include = [...new Set([...(existing?.include || []), ...candidate.include])];
+      if (existing && include.length > MAX_INCLUDE_COLUMNS) continue;
+
+      const index = {
+        name,
+        sql: `CREATE INDEX ${name} ON ${quoteIdentifier(candidate.table)} (${candidate.keys.map(quoteIdentifier).join(', ')}) INCLUDE (${include.map(quoteIdentifier).join(', ')});`,
+        type: 'btree_covering',
+        columns: candidate.keys,
+        include,
+        table: candidate.table,
+        rationale: `Covering index: query ${candidate.queryIndex + 1} reads ${include.join(', ')} alongside keys ${candidate.keys.join(', ')}, so it can be answered by an Index Only Scan`
+      };
+
+      if (existing) {
+        Object.assign(existing, index, { rationale: `${existing.rationale}; also covers query ${candidate.queryIndex + 1}` });
+      } else {
+        indexes.push(index);
+      }
     }
 
-    // Check against common SQL reserved keywords
-    const reservedKeywords = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'DROP', 'CREATE', 'ALTER', 'TABLE', 'DATABASE'];
-    if (reservedKeywords.includes(sanitized.toUpperCase())) {
-      throw new Error('Cannot use SQL reserved keyword as identifier');
+    return {
+      name: 'Covering Index Strategy',
+      description: 'B-tree indexes with INCLUDE columns so queries with small projections skip the heap',
+      indexes,
+      complexity: 'medium'
+    };
+  }
+
+  // One index per filtered or sorted expression; the key is the expression exactly as the queries
+  // write it (rendered by the SQL analyzer), since the planner only matches identical expressions
+  expressionIndexes(patterns, tableSlug, table) {
+    return patterns.expressions.slice(0, 2).map(({ expression, column, function: fn, sort }) => {
+      // PostgreSQL truncates identifiers at 63 bytes
+      const name = `idx_${tableSlug}_${slugOf(expression)}`.slice(0, 63).replace(/_+$/, '');
+      const usedAs = sort ? 'sorts by' : 'filters on';
+      const reason = fn
+        ? `${fn}() changes the value being compared`
+        : /->|#>/.test(expression)
+          ? `it indexes whole ${column} values, not the extracted field`
+          : `the cast changes the value being compared`;
+
+      return {
+        name,
+        sql: `CREATE INDEX ${name} ON ${quoteIdentifier(table)} ((${expression}));`,
+        type: 'btree_expression',
+        columns: [column],
+        expression,
+        table,
+        rationale: `Expression index: the workload ${usedAs} ${expression}, and a plain index on ${column} would be ignored because ${reason} - the planner only uses an index whose key is that same expression`
+      };
+    });
+  }
+
+  // Calls fn(patterns, tableSlug, table) for every table the workload touches. tableSlug only goes
+  // into index names; SQL takes the table through quoteIdentifier
+  forEachTable(analysis, fn) {
+    for (const table of analysis.tables) {
+      fn(analysis.tablePatterns[table], slugOf(table), table);
     }
+  }
 
-    if (sanitized.length === 0) {
-      throw new Error('Identifier cannot be empty after sanitization');
+  assessComplexity(tablePatterns) {
+    let score = 0;
+    for (const patterns of tablePatterns) {
+      score += patterns.whereColumns.size * 2;
+      score += patterns.orderByColumns.size * 1.5;
+      score += patterns.joinColumns.size * 3;
     }
 
-    return sanitized;
+    if (score < 5) return 'low';
+    if (score < 15) return 'medium';
+    return 'high';
   }
 }
\ No newline at end of file
@@ -1,201 +1,889 @@
-import { IndexTunerAgent } from './index-tuner.js';
+import { IndexTunerAgent, DEFAULT_STRATEGY_IDS } from './index-tuner.js';
 import { ValidatorAgent } from './validator.js';
+import { createJobRepository } from '../services/jobs/index.js';
+import { JobEventBus } from '../services/job-events.js';
+import { JobQueue } from '../services/job-queue.js';
 import { v4 as uuidv4 } from 'uuid';
+import os from 'os';
+
+const STRATEGY_STEPS = ['creating_forks', 'applying_strategies', 'running_tests'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const RESUME_SCAN_PAGE = 200;
+
+// Run fn over items with at most `limit` calls in flight; never rejects - every outcome is settled
+async function mapSettled(items, limit, fn) {
+  const outcomes = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        outcomes[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (error) {
+        outcomes[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return outcomes;
+}
 
 export class AgentOrchestrator {
-  constructor(tigerService) {
+  constructor(tigerService, { jobRepository, strategyConcurrency, queue, instanceId, staleAfterMs } = {}) {
     this.tigerService = tigerService;
-    this.indexTuner = new IndexTunerAgent();
+    this.indexTuner = new IndexTunerAgent(tigerService);
     this.validator = new ValidatorAgent(tigerService);
-    this.jobs = new Map(); // In-memory job storage
+    this.jobRepository = jobRepository || createJobRepository('memory');
+    this.activeJobs = new Map(); // Jobs running in this process; everything else is read from the repository
+    this.pendingWrites = new Map(); // jobId -> last queued repository write
+    this.runs = new Map(); // jobId -> { controller, done } for cancellation
+    this.events = new JobEventBus(); // live progress for SSE subscribers
+    // Max strategies tested at once (each holds a fork while it runs)
+    this.strategyConcurrency = strategyConcurrency || parseInt(process.env.STRATEGY_CONCURRENCY, 10) || 2;
+    // Jobs wait here for a job slot and enough of the live-fork budget
+    this.queue = queue || new JobQueue({
+      maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_OPTIMIZATIONS, 10) || 3,
+      maxLiveForks: parseInt(process.env.MAX_LIVE_FORKS, 10) || 6,
+      maxQueuedJobs: parseInt(process.env.MAX_QUEUED_OPTIMIZATIONS, 10) || 50
+    });
+    this.queue.onChange = () => this.publishQueuePositions();
+    // Recorded on every job so a restarted server only resumes its own jobs, not those of a peer sharing the store
+    this.instanceId = instanceId || process.env.SERVER_ID || os.hostname();
+    // A job not updated for this long is taken to have lost its server (see resumeJobs and the reaper)
+    this.staleAfterMs = staleAfterMs ?? 1800000;
+    this.heartbeat = null;
   }
 
-  async runABOptimization({ queries, tableName }) {
+  // frequencies: calls per hour of each query, or null for an unweighted workload
+  async runABOptimization({ queries, frequencies = null, tableName, options = {}, clientId = 'anonymous' }) {
+    // Checked up front so a rejected request leaves no job behind
+    this.queue.assertCapacity();
+
     const jobId = uuidv4();
+    const executionMode = options.executionMode || process.env.EXECUTION_MODE || 'forks';
     const job = {
       id: jobId,
-      status: 'running',
+      status: 'queued',
       startTime: new Date().toISOString(),
       queries,
+      frequencies,
       tableName,
+      options,
+      executionMode,
+      clientId,
+      owner: this.instanceId,
+      simulated: false,
+      checkpoint: null,
       results: null,
       error: null
     };
 
-    this.jobs.set(jobId, job);
+    // Persist before starting so a broken job store fails the request instead of losing the run
+    await this.jobRepository.save(job);
+    this.startJob(job);
+
+    const queuePosition = this.queue.positionOf(jobId);
+    return { jobId, status: queuePosition ? 'queued' : 'started', queuePosition };
+  }
+
+  // Register a stored job as running in this process and hand it to the queue
+  startJob(job) {
+    const jobId = job.id;
+    this.activeJobs.set(jobId, job);
+
+    // `done` settles once the job has finished (or was cancelled while queued) and cleaned up
+    const controller = new AbortController();
+    let settle;
+    const done = new Promise(resolve => { settle = resolve; })
+      .finally(() => {
+        this.activeJobs.delete(jobId);
+        this.runs.delete(jobId);
+        // A suspended job isn't over: SSE clients stay connected and pick it up after the restart
+        if (FINISHED_STATUSES.includes(job.status)) {
+          this.events.finish(jobId);
+        }
+      });
+    this.runs.set(jobId, { controller, done, settle });
 
-    // Run optimization in background
-    this.executeOptimization(job).catch(error => {
+    try {
+      this.queue.enqueue({
+        jobId,
+        clientId: job.clientId,
+        forks: this.forksNeeded(job),
+        run: ({ forks }) => this.executeOptimization(job, controller.signal, { forkLimit: forks })
+          .catch(error => {
+            console.error(`Optimization ${jobId} ${job.status}:`, error.message);
+          })
+          .finally(settle)
+      });
+    } catch (error) {
+      // The queue filled up after the job was saved (capacity is checked before the save, but
+      // other requests can get in while it is written): the stored job would otherwise wait forever
       job.status = 'failed';
       job.error = error.message;
       job.endTime = new Date().toISOString();
-    });
+      this.saveJob(job);
+      settle();
+      throw error;
+    }
+  }
+
+  // Pick up unfinished jobs from their last checkpoint: at startup the ones this server left behind, and
+  // at any time those whose owner stopped updating them for staleAfterMs - a peer that died, or this
+  // server before a redeploy gave it another hostname. Jobs that can't be resumed have their leftover
+  // forks deleted and are marked failed. Returns the number resumed
+  async resumeJobs({ enabled = true, startup = true } = {}) {
+    const unfinished = [];
+    for (let offset = 0; ; offset += RESUME_SCAN_PAGE) {
+      const page = await this.jobRepository.list({ limit: RESUME_SCAN_PAGE, offset });
+      unfinished.push(...page.filter(summary => !FINISHED_STATUSES.includes(summary.status)));
+      if (page.length < RESUME_SCAN_PAGE) break;
+    }
+
+    let resumed = 0;
+
+    // Oldest first, so resumed jobs keep their original order in the queue
+    for (const summary of unfinished.reverse()) {
+      const job = this.activeJobs.has(summary.id) ? null : await this.jobRepository.get(summary.id);
+      if (!job || FINISHED_STATUSES.includes(job.status) || this.activeJobs.has(job.id)) continue;
+
+      // Jobs without an owner predate checkpoints and are treated as this server's
+      const own = !job.owner || job.owner === this.instanceId;
+      if (!(startup && own) && !this.isStale(job)) continue;
+      if (!own) {
+        console.warn(`Taking over job ${job.id} from ${job.owner}: no update since ${job.updatedAt || job.startTime}`);
+        job.owner = this.instanceId;
+      }
+
+      if (job.status === 'cancelling') {
+        await this.abandonJob(job, 'cancelled', 'Optimization cancelled');
+      } else if (job.simulated) {
+        await this.abandonJob(job, 'failed', 'Server restarted before the simulated run finished');
+      } else if (!enabled) {
+        await this.abandonJob(job, 'failed', 'Server restarted and job resumption is disabled');
+      } else if (this.queue.isFull()) {
+        await this.abandonJob(job, 'failed', 'Server restarted and the optimization queue is full');
+      } else {
+        const measured = Object.values(job.checkpoint?.pipelines || {})
+          .reduce((sum, pipeline) => sum + pipeline.results.length, 0);
 
-    return { jobId, status: 'started' };
+        job.status = 'queued';
+        job.resumedAt = new Date().toISOString();
+        job.resumeCount = (job.resumeCount || 0) + 1;
+        // Ids from before the restart aren't known here; continue past any a reconnecting client could hold
+        this.events.continueIds(job.id);
+        this.reporter(job, 'Orchestrator')({
+          type: 'step_started',
+          message: job.checkpoint?.strategies
+            ? `Resuming after a server restart with ${job.checkpoint.strategies.length} strategies and ${measured} measurements already taken`
+            : 'Starting over after a server restart (no checkpoint yet)'
+        });
+        await this.saveJob(job);
+        this.startJob(job);
+        resumed++;
+      }
+    }
+
+    return resumed;
+  }
+
+  isStale(job) {
+    return Date.now() - new Date(job.updatedAt || job.startTime).getTime() > this.staleAfterMs;
+  }
+
+  // Save every job this process holds (queued ones too) well within staleAfterMs, so that peers and
+  // the reaper never mistake a job that is waiting or on a long step for an abandoned one
+  startHeartbeat(intervalMs = this.staleAfterMs / 3) {
+    this.heartbeat = setInterval(() => {
+      for (const job of this.activeJobs.values()) {
+        this.saveJob(job);
+      }
+    }, intervalMs);
+    this.heartbeat.unref();
+  }
+
+  // Finish a job that can't be resumed: delete forks its checkpoint says may still exist
+  async abandonJob(job, status, reason) {
+    for (const pipeline of Object.values(job.checkpoint?.pipelines || {})) {
+      if (pipeline.fork) {
+        await this.tigerService.deleteFork(pipeline.fork.name);
+      }
+    }
+    if (job.plannedIndexes) {
+      await this.recordIndexSnapshot(job, 'after');
+    }
+
+    console.warn(`Job ${job.id} ${status}: ${reason}`);
+    job.status = status;
+    job.error = reason;
+    job.endTime = new Date().toISOString();
+    job.checkpoint = null;
+    await this.saveJob(job);
+    this.events.finish(job.id);
+  }
+
+  // Forks a job holds at once: one per strategy, capped by the per-job concurrency
+  forksNeeded(job) {
+    if (job.executionMode === 'sandbox') {
+      return 0;
+    }
+    const strategyCount = job.options.strategies?.length || DEFAULT_STRATEGY_IDS.length;
+    return Math.min(strategyCount, this.strategyConcurrency);
   }
 
-  async executeOptimization(job) {
-    let forkA = null;
-    let forkB = null;
+  // Queued jobs have no status changes of their own, so push their new positions to subscribers
+  publishQueuePositions() {
+    for (const job of this.activeJobs.values()) {
+      if (job.status === 'queued') {
+        this.events.emitStatus(job.id, this.formatStatus(job));
+      }
+    }
+  }
+
+  async executeOptimization(job, signal, { forkLimit } = {}) {
+    const log = this.reporter(job, 'Orchestrator');
 
     try {
       const { queries, tableName } = job;
+      const weights = job.frequencies || null;
+      log({ type: 'step_started', message: `Optimizing ${queries.length} queries on ${tableName || 'the workload tables'} (${job.executionMode} mode)` });
 
-      // Step 1: Generate index strategies
-      job.status = 'generating_strategies';
-      const strategies = await this.indexTuner.generateIndexStrategies(queries, tableName);
+      // Everything needed to pick the job up again after a restart; persisted with every save
+      job.checkpoint = job.checkpoint || { strategies: null, analysis: null, whatIf: null, pipelines: {} };
+      const { checkpoint } = job;
 
-      // Step 2: Create forks for A/B testing
-      job.status = 'creating_forks';
-      forkA = await this.tigerService.createFork(`${job.id}-strategy-a`);
-      forkB = await this.tigerService.createFork(`${job.id}-strategy-b`);
+      // Step 1: Generate index strategies (a resumed job keeps the ones it already tested with)
+      if (!checkpoint.strategies) {
+        job.status = 'generating_strategies';
+        this.saveJob(job);
+        const generated = await this.indexTuner.generateIndexStrategies(queries, tableName, {
+          strategies: job.options.strategies,
+          weights,
+          onEvent: this.reporter(job, 'Index-Tuner')
+        });
 
-      try {
-        // Step 3: Apply strategies to respective forks
-        job.status = 'applying_strategies';
-        await this.validator.applyIndexStrategy(forkA.connectionString, strategies.strategyA);
-        await this.validator.applyIndexStrategy(forkB.connectionString, strategies.strategyB);
-
-        // Step 4: Run validation tests
-        job.status = 'running_tests';
-        const resultsA = await this.validator.runPerformanceTests(forkA.connectionString, queries);
-        const resultsB = await this.validator.runPerformanceTests(forkB.connectionString, queries);
-
-        // Step 5: Compare results and generate recommendations
-        job.status = 'analyzing_results';
-        const comparison = this.compareResults(strategies, resultsA, resultsB);
-
-        job.results = {
-          strategies,
-          forks: { forkA: forkA.forkName, forkB: forkB.forkName },
-          performance: { strategyA: resultsA, strategyB: resultsB },
-          comparison,
-          recommendation: this.generateRecommendation(comparison)
-        };
+        if (generated.strategies.filter(strategy => strategy.indexes.length > 0 || strategy.drops?.length > 0).length === 0) {
+          throw new Error('No index candidates found in the workload');
+        }
+
+        // What-if screening with hypothetical indexes: only the strategies the planner rates best get forks
+        const { strategies, whatIf } = job.options.whatIf === false
+          ? { strategies: generated.strategies, whatIf: null }
+          : await this.indexTuner.screenStrategies(generated.strategies, queries, {
+            top: job.options.whatIfTop,
+            keep: [job.options.baseline || 'baseline'],
+            weights,
+            signal,
+            onEvent: this.reporter(job, 'Index-Tuner')
+          });
+
+        checkpoint.strategies = strategies;
+        checkpoint.analysis = generated.analysis;
+        checkpoint.whatIf = whatIf;
 
-        job.status = 'completed';
+        // Its tables get index snapshots before and after the run, so the reaper can tell indexes a run
+        // leaked onto the base database from ones that were there already
+        job.plannedIndexes = strategies.flatMap(strategy => strategy.indexes.map(index => ({
+          table: index.table || tableName,
+          name: index.name
+        })));
+        await this.recordIndexSnapshot(job, 'before');
+      }
+      const { strategies, analysis } = checkpoint;
+
+      // Steps 2-4: Apply each strategy in isolation and measure it
+      signal?.throwIfAborted();
+      let runs;
+      try {
+        runs = await this.runStrategyPipelines(job, strategies, signal, forkLimit);
       } finally {
-        // Clean up forks - check if they exist before attempting to delete
-        if (forkA && forkA.forkName) {
-          try {
-            await this.tigerService.deleteFork(forkA.forkName);
-          } catch (cleanupError) {
-            console.error(`Failed to cleanup forkA: ${cleanupError.message}`);
-          }
-        }
-        if (forkB && forkB.forkName) {
-          try {
-            await this.tigerService.deleteFork(forkB.forkName);
-          } catch (cleanupError) {
-            console.error(`Failed to cleanup forkB: ${cleanupError.message}`);
-          }
+        await this.recordIndexSnapshot(job, 'after');
+      }
+      signal?.throwIfAborted();
+      const failures = {};
+      const forks = {};
+      const indexResults = {};
+      const performance = {};
+
+      for (const [id, outcome] of Object.entries(runs)) {
+        if (outcome.status === 'rejected') {
+          failures[id] = outcome.reason.message;
+          continue;
         }
+        forks[id] = outcome.value.fork;
+        indexResults[id] = outcome.value.indexResults;
+        performance[id] = outcome.value.results;
+      }
+
+      if (Object.keys(failures).length === strategies.length) {
+        throw new Error(`All strategies failed: ${Object.values(failures).join('; ')}`);
       }
 
+      // Step 5: Compare results and generate recommendations
+      job.status = 'analyzing_results';
+      this.saveJob(job);
+      log({ type: 'step_started', message: `Comparing ${Object.keys(performance).length} measured strategies` });
+      const comparison = this.compareResults(strategies, performance, job.options.baseline, weights);
+      const whatIf = checkpoint.whatIf && this.compareWhatIf(checkpoint.whatIf, strategies, performance, comparison.baseline, weights);
+
+      job.results = {
+        strategies,
+        analysis,
+        executionMode: job.executionMode,
+        forks: job.executionMode === 'sandbox' ? null : forks,
+        indexResults,
+        performance,
+        failures,
+        comparison,
+        whatIf,
+        recommendation: this.generateRecommendation(comparison)
+      };
+
+      log({ type: 'step_finished', message: job.results.recommendation.reason });
+
+      job.status = 'completed';
       job.endTime = new Date().toISOString();
+      job.checkpoint = null;
+      await this.saveJob(job);
     } catch (error) {
-      job.status = 'failed';
-      job.error = error.message;
-      job.endTime = new Date().toISOString();
+      // By now every pipeline has run its cleanup, so a stopped job holds no forks
+      job.status = this.stoppedStatus(signal);
 
-      // Attempt cleanup even on failure
-      if (forkA && forkA.forkName) {
-        try {
-          await this.tigerService.deleteFork(forkA.forkName);
-        } catch (cleanupError) {
-          console.error(`Failed to cleanup forkA on error: ${cleanupError.message}`);
+      if (job.status === 'interrupted') {
+        // The checkpoint stays; the next startup resumes from it
+        log({ type: 'step_failed', message: 'Optimization interrupted by a server shutdown; it resumes on restart' });
+      } else {
+        job.error = error.message;
+        job.endTime = new Date().toISOString();
+        job.checkpoint = null;
+        log({ type: 'step_failed', message: `Optimization ${job.status}: ${error.message}` });
+      }
+      await this.saveJob(job);
+
+      throw error;
+    }
+  }
+
+  // How an aborted job or pipeline ends: cancelled by a user, or interrupted by a shutdown (see suspendAll)
+  stoppedStatus(signal) {
+    if (!signal?.aborted) {
+      return 'failed';
+    }
+    return signal.reason?.code === 'JOB_SUSPENDED' ? 'interrupted' : 'cancelled';
+  }
+
+  // Each strategy runs as its own pipeline; a failing pipeline doesn't take the others down
+  async runStrategyPipelines(job, strategies, signal, forkLimit) {
+    const sandbox = job.executionMode === 'sandbox';
+    // Sandbox transactions would contend for the same index names on the base database;
+    // with forks, stay within what the queue reserved for this job
+    const limit = sandbox ? 1 : Math.max(1, forkLimit || this.strategyConcurrency);
+
+    const { pipelines } = job.checkpoint;
+    job.strategySteps = Object.fromEntries(strategies.map(strategy => [strategy.id, pipelines[strategy.id]?.outcome || 'pending']));
+
+    const outcomes = await mapSettled(strategies, limit, async strategy => {
+      // fork: { name, serviceId } while a fork may exist; indexResults: set once every index is applied;
+      // results: per-query measurements so far; outcome: 'done' or 'failed' once the pipeline is over
+      const pipeline = pipelines[strategy.id] = pipelines[strategy.id]
+        || { fork: null, indexResults: null, results: [], outcome: null, error: null };
+
+      // Finished before a restart - nothing to redo
+      if (pipeline.outcome === 'done') {
+        return { fork: sandbox ? null : `${job.id}-${strategy.id}`, indexResults: pipeline.indexResults, results: pipeline.results };
+      }
+      if (pipeline.outcome === 'failed') {
+        throw new Error(pipeline.error);
+      }
+
+      return sandbox
+        ? this.testStrategyInSandbox(job, strategy, pipeline, signal)
+        : this.testStrategyOnFork(job, strategy, pipeline, signal);
+    });
+
+    return Object.fromEntries(strategies.map((strategy, i) => [strategy.id, outcomes[i]]));
+  }
+
+  // One fork per strategy; the fork is deleted whether or not the pipeline succeeds.
+  // Each step is recorded in `pipeline` so a restart can skip what was already done
+  async testStrategyOnFork(job, strategy, pipeline, signal) {
+    const log = this.reporter(job, 'Orchestrator', strategy);
+    const onEvent = this.reporter(job, 'Validator', strategy);
+    const forkName = `${job.id}-${strategy.id}`;
+    let fork = null;
+
+    try {
+      // Step 2: Create a fork for this strategy
+      signal?.throwIfAborted();
+      this.setStrategyStep(job, strategy.id, 'creating_forks');
+
+      if (pipeline.fork) {
+        fork = await this.reattachFork(forkName, pipeline, signal, log);
+      }
+      if (!fork) {
+        log({ type: 'step_started', message: `Creating fork ${forkName}` });
+        // Recorded before creating: a crash mid-creation can still leave the fork behind
+        pipeline.fork = { name: forkName, serviceId: null };
+        pipeline.indexResults = null;
+        fork = await this.tigerService.createFork(forkName, { signal });
+        pipeline.fork.serviceId = fork.serviceId || null;
+        log({ type: 'step_finished', message: `Fork ${forkName} ready` });
+      }
+
+      // Step 3: Apply the strategy to its fork
+      if (!pipeline.indexResults) {
+        signal?.throwIfAborted();
+        this.setStrategyStep(job, strategy.id, 'applying_strategies');
+        pipeline.indexResults = await this.validator.applyIndexStrategy(fork.connectionString, strategy, {
+          signal,
+          onEvent,
+          // Kept past the checkpoint: the reaper only removes indexes whose creation a job recorded
+          onCreated: index => {
+            job.createdIndexes = [...(job.createdIndexes || []), { ...index, table: index.table || job.tableName }];
+            this.saveJob(job);
+          }
+        });
+      }
+
+      // Step 4: Run validation tests, checkpointing after every query
+      signal?.throwIfAborted();
+      this.setStrategyStep(job, strategy.id, 'running_tests');
+      const results = await this.validator.runPerformanceTests(fork.connectionString, job.queries, {
+        signal,
+        onEvent,
+        previousResults: pipeline.results,
+        onResult: result => {
+          pipeline.results.push(result);
+          this.saveJob(job);
         }
+      });
+
+      pipeline.outcome = 'done';
+      this.setStrategyStep(job, strategy.id, 'done');
+      return { fork: fork.forkName, indexResults: pipeline.indexResults, results };
+    } catch (error) {
+      const status = this.stoppedStatus(signal);
+      if (status === 'failed') {
+        pipeline.outcome = 'failed';
+        pipeline.error = error.message;
       }
-      if (forkB && forkB.forkName) {
+      this.setStrategyStep(job, strategy.id, status);
+      log({ type: 'step_failed', message: `${strategy.name} ${status}: ${error.message}` });
+      throw error;
+    } finally {
+      // Clean up fork - check if it exists before attempting to delete
+      if (fork && fork.forkName) {
         try {
-          await this.tigerService.deleteFork(forkB.forkName);
+          const deletion = await this.tigerService.deleteFork(fork.forkName);
+          if (deletion.deleted !== false) {
+            pipeline.fork = null;
+          }
+          log(deletion.deleted === false
+            ? { type: 'step_failed', message: `Could not delete fork ${fork.forkName}: ${deletion.error}` }
+            : { type: 'step_finished', message: `Deleted fork ${fork.forkName}` });
         } catch (cleanupError) {
-          console.error(`Failed to cleanup forkB on error: ${cleanupError.message}`);
+          console.error(`Failed to cleanup fork ${fork.forkName}: ${cleanupError.message}`);
+          log({ type: 'step_failed', message: `Could not delete fork ${fork.forkName}: ${cleanupError.message}` });
         }
       }
+    }
+  }
+
+  // Reconnect to the fork of a run interrupted by a crash. Only a fork with every index applied
+  // is reused; a half-prepared or unreachable one is deleted and the strategy gets a fresh fork
+  async reattachFork(forkName, pipeline, signal, log) {
+    let fork = null;
+    try {
+      fork = await this.tigerService.attachFork(forkName, { signal });
+    } catch (error) {
+      signal?.throwIfAborted();
+      log({ type: 'step_failed', message: error.message });
+    }
+
+    if (fork && pipeline.indexResults) {
+      log({ type: 'step_finished', message: `Reattached fork ${forkName} from before the restart` });
+      return fork;
+    }
+
+    if (fork || pipeline.fork.serviceId) {
+      await this.tigerService.deleteFork(forkName);
+    }
+    pipeline.fork = null;
+    return null;
+  }
+
+  // No forks: the strategy runs inside its own transaction on the base database,
+  // which is rolled back afterwards so nothing persists. A restart loses the transaction,
+  // so indexes are always reapplied; measured queries are kept. Strategies that drop indexes are
+  // refused: DROP INDEX holds an ACCESS EXCLUSIVE lock on the table until the rollback, blocking
+  // every read and write on it for the whole test
+  async testStrategyInSandbox(job, strategy, pipeline, signal) {
+    const log = this.reporter(job, 'Orchestrator', strategy);
+    const onEvent = this.reporter(job, 'Validator', strategy);
+
+    try {
+      signal?.throwIfAborted();
+      if (strategy.drops?.length > 0) {
+        const error = new Error(`${strategy.name} drops ${strategy.drops.length} indexes and needs forks mode; in sandbox mode the drops would lock ${[...new Set(strategy.drops.map(drop => drop.table))].join(', ')} against all reads and writes`);
+        error.code = 'REQUIRES_FORKS';
+        throw error;
+      }
+      const run = await this.tigerService.withSandbox(async (sandbox) => {
+        this.setStrategyStep(job, strategy.id, 'applying_strategies');
+        pipeline.indexResults = await this.validator.applyIndexStrategy(sandbox, strategy, { signal, onEvent });
+
+        signal?.throwIfAborted();
+        this.setStrategyStep(job, strategy.id, 'running_tests');
+        const results = await this.validator.runPerformanceTests(sandbox, job.queries, {
+          signal,
+          onEvent,
+          previousResults: pipeline.results,
+          onResult: result => {
+            pipeline.results.push(result);
+            this.saveJob(job);
+          }
+        });
+
+        return { fork: null, indexResults: pipeline.indexResults, results };
+      });
 
+      log({ type: 'step_finished', message: `Rolled back sandbox for ${strategy.name}` });
+      pipeline.outcome = 'done';
+      this.setStrategyStep(job, strategy.id, 'done');
+      return run;
+    } catch (error) {
+      const status = this.stoppedStatus(signal);
+      if (status === 'failed') {
+        pipeline.outcome = 'failed';
+        pipeline.error = error.message;
+      }
+      this.setStrategyStep(job, strategy.id, status);
+      log({ type: 'step_failed', message: `${strategy.name} ${status}: ${error.message}` });
       throw error;
     }
   }
 
-  compareResults(strategies, resultsA, resultsB) {
-    const avgTimeA = resultsA.reduce((sum, r) => sum + r.executionTime, 0) / resultsA.length;
-    const avgTimeB = resultsB.reduce((sum, r) => sum + r.executionTime, 0) / resultsB.length;
-    
-    const improvement = ((avgTimeA - avgTimeB) / avgTimeA) * 100;
-    
+  // Index names on each planned table of the base database, before or after the pipelines ran
+  async recordIndexSnapshot(job, phase) {
+    job.indexSnapshot = job.indexSnapshot || {};
+    const tables = [...new Set(job.plannedIndexes.map(index => index.table))];
+
+    for (const table of tables) {
+      try {
+        job.indexSnapshot[table] = {
+          ...job.indexSnapshot[table],
+          [phase]: await this.tigerService.listIndexes(table)
+        };
+      } catch (error) {
+        console.warn(`Could not snapshot indexes on ${table}:`, error.message);
+      }
+    }
+    this.saveJob(job);
+  }
+
+  // Event callback handed to an agent; tags everything it reports with the job and strategy
+  reporter(job, agent, strategy) {
+    return (event) => this.events.emitAgentEvent(job.id, {
+      agent,
+      ...(strategy && { strategy: strategy.id }),
+      ...event
+    });
+  }
+
+  // The job reports the least advanced step among the pipelines still in flight
+  setStrategyStep(job, key, step) {
+    job.strategySteps[key] = step;
+
+    const active = Object.values(job.strategySteps)
+      .map(s => STRATEGY_STEPS.indexOf(s))
+      .filter(index => index !== -1);
+    // While cancelling, pipelines are only winding down - keep reporting that
+    if (active.length > 0 && job.status !== 'cancelling') {
+      job.status = STRATEGY_STEPS[Math.min(...active)];
+    }
+    this.saveJob(job);
+  }
+
+  // Writes are chained per job so a slow write can never land after a newer snapshot.
+  // Persistence errors are logged, not thrown - losing an intermediate status must not fail the run
+  saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    const snapshot = structuredClone(job);
+    this.events.emitStatus(job.id, this.formatStatus(snapshot));
+
+    const previous = this.pendingWrites.get(job.id) || Promise.resolve();
+    const write = previous
+      .then(() => this.jobRepository.save(snapshot))
+      .catch(error => console.error(`Failed to persist job ${job.id}:`, error.message));
+
+    this.pendingWrites.set(job.id, write);
+    write.then(() => {
+      if (this.pendingWrites.get(job.id) === write) {
+        this.pendingWrites.delete(job.id);
+      }
+    });
+
+    return write;
+  }
+
+  // Rank every measured strategy and compare each pair; improvements are relative to the baseline
+  // weights: calls per hour of each query (null: every query counts once). Strategies are ranked on
+  // the call-weighted mean execution time, and time saved is reported per hour of the workload
+  compareResults(strategies, performance, baselineId = 'baseline', weights = null) {
+    const weightOf = i => weights?.[i] ?? 1;
+
+    const stats = strategies
+      .filter(strategy => performance[strategy.id])
+      .map(strategy => {
+        const results = performance[strategy.id];
+        // Queries that errored have no timing and must not drag the average down
+        const valid = results.filter(r => r.executionTime !== null);
+        const timed = results.map((r, i) => i).filter(i => results[i].executionTime !== null);
+        const calls = timed.reduce((sum, i) => sum + weightOf(i), 0);
+
+        return {
+          strategy: strategy.id,
+          name: strategy.name,
+          avgExecutionTime: valid.length > 0
+            ? valid.reduce((sum, r) => sum + r.executionTime, 0) / valid.length
+            : null,
+          weightedAvgExecutionTime: calls > 0
+            ? timed.reduce((sum, i) => sum + results[i].executionTime * weightOf(i), 0) / calls
+            : null,
+          // ms of query time per hour at the given frequencies
+          timePerHour: timed.reduce((sum, i) => sum + results[i].executionTime * weightOf(i), 0),
+          queries: valid.length,
+          failedQueries: results.length - valid.length,
+          indexes: strategy.indexes.length,
+          estimatedSize: strategy.estimatedSize,
+          estimatedBytes: strategy.estimatedBytes
+        };
+      });
+
+    const measured = stats.filter(s => s.avgExecutionTime !== null);
+    if (measured.length === 0) {
+      throw new Error('No queries completed successfully on any strategy');
+    }
+
+    // Fall back to the first measured strategy when the requested baseline has no numbers
+    const baseline = measured.find(s => s.strategy === baselineId) || measured[0];
+    const improvementOver = (a, b) => ((b.weightedAvgExecutionTime - a.weightedAvgExecutionTime) / b.weightedAvgExecutionTime) * 100;
+    // Over the queries both strategies measured, so a failed query doesn't count as time saved
+    const savedPerHour = (entry, other) => {
+      const [a, b] = [performance[entry.strategy], performance[other.strategy]];
+      return a.reduce((sum, result, i) => result.executionTime !== null && b[i]?.executionTime != null
+        ? sum + (b[i].executionTime - result.executionTime) * weightOf(i)
+        : sum, 0);
+    };
+
+    const leaderboard = [...measured]
+      .sort((a, b) => a.weightedAvgExecutionTime - b.weightedAvgExecutionTime)
+      .map((entry, i) => ({
+        rank: i + 1,
+        ...entry,
+        improvementVsBaseline: improvementOver(entry, baseline),
+        timeSavedPerHour: savedPerHour(entry, baseline)
+      }));
+
+    // matrix[a][b]: how much faster a is than b, in percent (negative = slower)
+    const matrix = {};
+    for (const a of measured) {
+      matrix[a.strategy] = {};
+      for (const b of measured) {
+        if (a !== b) {
+          matrix[a.strategy][b.strategy] = improvementOver(a, b);
+        }
+      }
+    }
+
+    const winner = leaderboard[0];
+
     return {
-      strategyA: {
-        name: strategies.strategyA.name,
-        avgExecutionTime: avgTimeA,
-        queries: resultsA.length
-      },
-      strategyB: {
-        name: strategies.strategyB.name,
-        avgExecutionTime: avgTimeB,
-        queries: resultsB.length
-      },
+      baseline: baseline.strategy,
+      winner: winner.strategy,
+      weighted: Boolean(weights),
+      leaderboard,
+      matrix,
+      unmeasured: stats.filter(s => s.avgExecutionTime === null).map(s => s.strategy),
       improvement: {
-        percentage: improvement,
-        faster: improvement > 0 ? 'strategyB' : 'strategyA',
-        timeSaved: Math.abs(avgTimeA - avgTimeB)
+        percentage: winner.improvementVsBaseline,
+        faster: winner.strategy,
+        baseline: baseline.strategy,
+        timeSaved: baseline.weightedAvgExecutionTime - winner.weightedAvgExecutionTime,
+        timeSavedPerHour: winner.timeSavedPerHour
       }
     };
   }
 
+  // The what-if estimates next to what the forks measured: per strategy over the whole workload, and
+  // per index over the queries whose real plan used it - both as the reduction in summed (call-weighted)
+  // execution time against the baseline's run of the same queries
+  compareWhatIf(whatIf, strategies, performance, baselineId, weights = null) {
+    if (!whatIf.available) {
+      return whatIf;
+    }
+
+    const baseline = performance[baselineId] || [];
+    const reduction = (queryIndexes, results) => {
+      const timed = queryIndexes.filter(i => baseline[i]?.executionTime != null && results[i]?.executionTime != null);
+      const before = timed.reduce((sum, i) => sum + baseline[i].executionTime * (weights?.[i] ?? 1), 0);
+      const after = timed.reduce((sum, i) => sum + results[i].executionTime * (weights?.[i] ?? 1), 0);
+      return before > 0 ? ((before - after) / before) * 100 : null;
+    };
+
+    return {
+      ...whatIf,
+      strategies: whatIf.strategies.map(estimate => {
+        const results = performance[estimate.strategy];
+        if (estimate.pruned || !results || !strategies.some(strategy => strategy.id === estimate.strategy)) {
+          return { ...estimate, actualImprovement: null };
+        }
+
+        return {
+          ...estimate,
+          actualImprovement: reduction(results.map((result, i) => i), results),
+          indexes: estimate.indexes.map(index => {
+            const queryIndexes = results
+              .map((result, i) => (result.metrics?.indexesUsed || []).includes(index.index) ? i : null)
+              .filter(i => i !== null);
+            return { ...index, actualQueryIndexes: queryIndexes, actualImprovement: queryIndexes.length > 0 ? reduction(queryIndexes, results) : 0 };
+          })
+        };
+      })
+    };
+  }
+
   generateRecommendation(comparison) {
-    const { improvement } = comparison;
-    const winner = improvement.faster;
-    const winnerStrategy = comparison[winner];
+    const { improvement, leaderboard } = comparison;
+    const winner = leaderboard[0];
+    const baseline = leaderboard.find(entry => entry.strategy === comparison.baseline);
+
+    if (leaderboard.length < 2) {
+      return {
+        action: 'no_change',
+        reason: `Only ${winner.name} produced measurements - nothing to compare against`,
+        confidence: 'low'
+      };
+    }
+
+    if (winner.strategy === baseline.strategy) {
+      return {
+        action: 'no_change',
+        reason: `No strategy beat the baseline (${baseline.name})`,
+        confidence: 'medium'
+      };
+    }
     
     if (Math.abs(improvement.percentage) < 5) {
       return {
         action: 'no_change',
-        reason: 'Performance difference is negligible (<5%)',
-        confidence: 'low',
-        hybridSearchInsights: this.getHybridSearchInsights(comparison)
+        reason: `Performance difference vs ${baseline.name} is negligible (<5%)`,
+        confidence: 'low'
       };
     }
 
     return {
       action: 'apply_strategy',
-      strategy: winner,
-      reason: `${winnerStrategy.name} shows ${Math.abs(improvement.percentage).toFixed(1)}% improvement`,
+      strategy: winner.strategy,
+      reason: `${winner.name} shows ${Math.abs(improvement.percentage).toFixed(1)}% improvement over ${baseline.name}`,
       confidence: Math.abs(improvement.percentage) > 20 ? 'high' : 'medium',
-      estimatedImpact: `Save ~${improvement.timeSaved.toFixed(2)}ms per query`,
-      hybridSearchInsights: this.getHybridSearchInsights(comparison)
-    };
-  }
-
-  getHybridSearchInsights(comparison) {
-    // Simulate hybrid search results using pg_textsearch + pgvector
-    return {
-      similarPatterns: [
-        { pattern: 'WHERE + ORDER BY optimization', confidence: 0.92, source: 'pg_textsearch' },
-        { pattern: 'Composite index benefits', confidence: 0.87, source: 'pgvector' },
-        { pattern: 'Partial index selectivity', confidence: 0.79, source: 'hybrid_fusion' }
-      ],
-      recommendations: [
-        'Consider adding covering indexes for frequent SELECT columns',
-        'Partial indexes show 23% better selectivity for filtered queries',
-        'Composite indexes reduce random I/O by 45% for multi-column filters'
-      ]
+      estimatedImpact: comparison.weighted
+        ? `Save ~${(improvement.timeSavedPerHour / 1000).toFixed(1)}s of query time per hour (~${improvement.timeSaved.toFixed(2)}ms per call)`
+        : `Save ~${improvement.timeSaved.toFixed(2)}ms per query`
     };
   }
 
+  // Returns null for unknown jobs; jobs finished by other processes come from the repository
   async getOptimizationStatus(jobId) {
-    const job = this.jobs.get(jobId);
-    if (!job) {
-      throw new Error('Job not found');
-    }
+    const job = this.activeJobs.get(jobId) || await this.jobRepository.get(jobId);
+    return job ? this.formatStatus(job) : null;
+  }
 
+  formatStatus(job) {
     return {
       id: job.id,
       status: job.status,
+      simulated: Boolean(job.simulated),
+      executionMode: job.executionMode,
+      queries: job.queries,
+      frequencies: job.frequencies || null,
+      tableName: job.tableName,
+      options: job.options,
+      queuePosition: job.status === 'queued' ? this.queue.positionOf(job.id) : null,
+      strategySteps: job.strategySteps,
       startTime: job.startTime,
+      resumedAt: job.resumedAt || null,
       endTime: job.endTime,
       results: job.results,
       error: job.error
     };
   }
+
+  // Abort a job running in this process and wait until its forks or sandboxes are cleaned up.
+  // Returns null when this process isn't running the job
+  async cancelOptimization(jobId) {
+    const run = this.runs.get(jobId);
+    if (!run) {
+      return null;
+    }
+
+    // Finished and only winding down: a cancel now would overwrite the final status
+    const job = this.activeJobs.get(jobId);
+    if (FINISHED_STATUSES.includes(job.status)) {
+      await run.done;
+      return this.getOptimizationStatus(jobId);
+    }
+
+    // Never started: nothing to clean up
+    if (this.queue.remove(jobId)) {
+      job.status = 'cancelled';
+      job.error = 'Optimization cancelled';
+      job.endTime = new Date().toISOString();
+      this.reporter(job, 'Orchestrator')({ type: 'step_failed', message: 'Optimization cancelled while queued' });
+      await this.saveJob(job);
+      run.settle();
+    } else if (!run.controller.signal.aborted) {
+      job.status = 'cancelling';
+      this.saveJob(job);
+      run.controller.abort(new Error('Optimization cancelled'));
+    }
+
+    await run.done;
+    return this.getOptimizationStatus(jobId);
+  }
+
+  async cancelAll() {
+    await Promise.all([...this.runs.keys()].map(jobId => this.cancelOptimization(jobId)));
+  }
+
+  // Used on shutdown: stop every job without finishing it. Running jobs clean up their forks like a
+  // cancel but end up 'interrupted' with their checkpoint intact; queued jobs stay queued.
+  // Both are picked up again by resumeJobs on the next startup
+  async suspendAll() {
+    clearInterval(this.heartbeat);
+    const runs = [...this.runs.entries()];
+
+    // Dequeue first so freed slots don't start anything new
+    for (const [jobId, run] of runs) {
+      if (this.queue.remove(jobId)) {
+        run.settle();
+      }
+    }
+    for (const [, run] of runs) {
+      if (!run.controller.signal.aborted) {
+        const reason = new Error('Server shutting down');
+        reason.code = 'JOB_SUSPENDED';
+        run.controller.abort(reason);
+      }
+    }
+
+    await Promise.all(runs.map(([, run]) => run.done));
+    await Promise.all(this.pendingWrites.values());
+  }
+
+  async listOptimizations({ limit, offset } = {}) {
+    return this.jobRepository.list({ limit, offset });
+  }
 }
\ No newline at end of file
@@ -1,42 +1,123 @@
+function formatBytes(bytes) {
+  if (bytes === null) return 'size unknown';
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} kB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
 export class ValidatorAgent {
   constructor(tigerService) {
     this.tigerService = tigerService;
     this.name = 'ValidatorAgent';
   }
 
-  async applyIndexStrategy(connectionString, strategy) {
+  // connectionString may also be a TigerService sandbox (see TigerService.openSandbox).
+  // Aborting `signal` cancels the running statement and skips the rest; onEvent receives progress events.
+  // onCreated({ name, table, schema, oid }) is called as soon as each index exists, before anything else can fail
+  async applyIndexStrategy(connectionString, strategy, { signal, onEvent = () => {}, onCreated = () => {} } = {}) {
     const results = [];
+
+    onEvent({ type: 'step_started', message: `Applying ${strategy.indexes.length} indexes${strategy.drops?.length > 0 ? ` and ${strategy.drops.length} drops` : ''} for ${strategy.name}` });
+
+    // Operator classes like gin_trgm_ops come from extensions that must exist on the target first
+    const missingExtensions = new Map(); // extension -> error message
+    for (const extension of new Set(strategy.indexes.map(index => index.extension).filter(Boolean))) {
+      try {
+        await this.tigerService.ensureExtension(connectionString, extension, { signal });
+        onEvent({ type: 'step_finished', message: `Extension ${extension} is installed` });
+      } catch (error) {
+        signal?.throwIfAborted();
+        missingExtensions.set(extension, error.message);
+        onEvent({ type: 'step_failed', message: `Extension ${extension} unavailable: ${error.message}` });
+      }
+    }
     
     for (const index of strategy.indexes) {
+      signal?.throwIfAborted();
+      if (missingExtensions.has(index.extension)) {
+        const error = `Requires extension ${index.extension}: ${missingExtensions.get(index.extension)}`;
+        results.push({ index: index.name, status: 'failed', error, sql: index.sql });
+        onEvent({ type: 'index_failed', message: `Failed to create ${index.name}: ${error}`, index: index.name, sql: index.sql, error });
+        continue;
+      }
       try {
-        await this.tigerService.executeQuery(connectionString, index.sql);
+        const { duration } = await this.tigerService.executeQuery(connectionString, index.sql, { signal });
+        const identity = await this.tigerService.getIndexIdentity(connectionString, index.name, { signal }).catch(() => null);
+        onCreated({ name: index.name, table: index.table, schema: identity?.schema ?? null, oid: identity?.oid ?? null });
+        // The index exists either way; a failed size lookup only leaves its size unknown
+        const sizeBytes = await this.tigerService.getIndexSize(connectionString, index.name, { signal }).catch(() => null);
+        const estimatedBytes = index.estimatedBytes ?? null;
         results.push({
           index: index.name,
           status: 'created',
-          sql: index.sql
+          sql: index.sql,
+          sizeBytes,
+          estimatedBytes
+        });
+        onEvent({
+          type: 'index_created',
+          message: `Created ${index.name} in ${duration}ms (${formatBytes(sizeBytes)}${estimatedBytes !== null ? `, estimated ${formatBytes(estimatedBytes)}` : ''})`,
+          index: index.name,
+          sql: index.sql,
+          duration,
+          sizeBytes,
+          estimatedBytes
         });
       } catch (error) {
+        signal?.throwIfAborted();
         results.push({
           index: index.name,
           status: 'failed',
           error: error.message,
           sql: index.sql
         });
+        onEvent({ type: 'index_failed', message: `Failed to create ${index.name}: ${error.message}`, index: index.name, sql: index.sql, error: error.message });
+      }
+    }
+
+    // Consolidation drops the indexes it replaces, but only once their replacement exists
+    for (const drop of strategy.drops || []) {
+      signal?.throwIfAborted();
+      const replacement = results.find(result => result.index === drop.replacedBy);
+      if (replacement && replacement.status !== 'created') {
+        results.push({ index: drop.name, status: 'kept', sql: drop.sql, error: `${drop.replacedBy} was not created` });
+        onEvent({ type: 'step_failed', message: `Kept ${drop.name}: its replacement ${drop.replacedBy} was not created` });
+        continue;
+      }
+      try {
+        const { duration } = await this.tigerService.executeQuery(connectionString, drop.sql, { signal });
+        results.push({ index: drop.name, status: 'dropped', sql: drop.sql });
+        onEvent({ type: 'index_dropped', message: `Dropped ${drop.name} in ${duration}ms (${drop.reason})`, index: drop.name, sql: drop.sql, duration });
+      } catch (error) {
+        signal?.throwIfAborted();
+        results.push({ index: drop.name, status: 'failed', error: error.message, sql: drop.sql });
+        onEvent({ type: 'index_failed', message: `Failed to drop ${drop.name}: ${error.message}`, index: drop.name, sql: drop.sql, error: error.message });
       }
     }
 
+    const created = results.filter(r => r.status === 'created').length;
+    const dropped = results.filter(r => r.status === 'dropped').length;
+    onEvent({ type: 'step_finished', message: `Applied ${created}/${strategy.indexes.length} indexes${dropped > 0 ? ` and dropped ${dropped}` : ''} for ${strategy.name}` });
+
     return results;
   }
 
-  async runPerformanceTests(connectionString, queries) {
-    const results = [];
+  // previousResults: measurements from an interrupted run, in query order - those queries are skipped.
+  // onResult receives each new measurement as soon as it is taken
+  async runPerformanceTests(connectionString, queries, { signal, onEvent = () => {}, previousResults = [], onResult = () => {} } = {}) {
+    const results = [...previousResults];
+
+    onEvent({ type: 'step_started', message: previousResults.length > 0
+      ? `Running ${queries.length - previousResults.length} of ${queries.length} queries (${previousResults.length} measured before a restart)`
+      : `Running ${queries.length} queries` });
 
-    for (const query of queries) {
+    for (const [queryIndex, query] of queries.entries()) {
+      if (queryIndex < previousResults.length) continue;
+      signal?.throwIfAborted();
       try {
         // Run the query multiple times to get consistent timing
         const runs = [];
         for (let i = 0; i < 3; i++) {
-          const result = await this.tigerService.explainAnalyze(connectionString, query);
+          const result = await this.tigerService.explainAnalyze(connectionString, query, { signal });
           runs.push(result);
         }
 
@@ -47,50 +128,90 @@ export class ValidatorAgent {
         // Get the most recent plan for analysis
         const latestRun = runs[runs.length - 1];
 
+        const metrics = this.extractPlanMetrics(latestRun.plan);
         results.push({
           query,
           executionTime: avgExecutionTime,
           planningTime: avgPlanningTime,
           plan: latestRun.plan,
-          metrics: this.extractPlanMetrics(latestRun.plan),
+          metrics,
           runs: runs.length
         });
+        onResult(results[results.length - 1]);
+
+        // Heap fetches in an Index Only Scan mean the visibility map isn't current, so the covering
+        // index still visits the table for most rows
+        const indexOnly = metrics.indexOnlyScans.length > 0
+          ? `; Index Only Scan on ${metrics.indexOnlyScans.map(scan => `${scan.index} (${scan.heapFetches} heap fetches)`).join(', ')}`
+          : '';
+        onEvent({
+          type: 'query_timed',
+          message: `Query ${queryIndex + 1}: ${avgExecutionTime.toFixed(2)}ms (avg of ${runs.length} runs)${indexOnly}`,
+          queryIndex,
+          query,
+          executionTime: avgExecutionTime,
+          planningTime: avgPlanningTime,
+          indexOnlyScans: metrics.indexOnlyScans
+        });
       } catch (error) {
+        // A cancelled run must not be recorded as a query error
+        signal?.throwIfAborted();
         results.push({
           query,
           error: error.message,
           executionTime: null,
           planningTime: null
         });
+        onResult(results[results.length - 1]);
+        onEvent({ type: 'query_failed', message: `Query ${queryIndex + 1} failed: ${error.message}`, queryIndex, query, error: error.message });
       }
     }
 
+    onEvent({ type: 'step_finished', message: `Measured ${results.filter(r => !r.error).length}/${queries.length} queries` });
+
     return results;
   }
 
   extractPlanMetrics(plan) {
+    // EXPLAIN (FORMAT JSON) wraps the node tree in { Plan, Planning Time, Execution Time }
+    const root = plan.Plan || plan;
     const metrics = {
-      totalCost: plan['Total Cost'] || 0,
-      actualRows: plan['Actual Rows'] || 0,
-      actualLoops: plan['Actual Loops'] || 1,
+      totalCost: root['Total Cost'] || 0,
+      actualRows: root['Actual Rows'] || 0,
+      actualLoops: root['Actual Loops'] || 1,
       indexScans: 0,
       seqScans: 0,
+      indexesUsed: [], // names of the indexes the plan scans
+      indexOnlyScans: [], // { index, table, heapFetches } per Index Only Scan node
+      heapFetches: 0,
       bufferHits: 0,
       bufferReads: 0
     };
 
     // Recursively analyze the plan tree
-    this.analyzePlanNode(plan, metrics);
+    this.analyzePlanNode(root, metrics);
 
     return metrics;
   }
 
   analyzePlanNode(node, metrics) {
+    if (node['Index Name'] && !metrics.indexesUsed.includes(node['Index Name'])) {
+      metrics.indexesUsed.push(node['Index Name']);
+    }
+
     // Count different scan types
     if (node['Node Type']) {
       switch (node['Node Type']) {
-        case 'Index Scan':
         case 'Index Only Scan':
+          metrics.indexOnlyScans.push({
+            index: node['Index Name'],
+            table: node['Relation Name'],
+            heapFetches: node['Heap Fetches'] || 0
+          });
+          metrics.heapFetches += node['Heap Fetches'] || 0;
+          metrics.indexScans++;
+          break;
+        case 'Index Scan':
         case 'Bitmap Index Scan':
           metrics.indexScans++;
           break;
@@ -170,7 +291,9 @@ export class ValidatorAgent {
       avgPlanningTime: 0,
       indexUsage: {
         indexScans: 0,
-        seqScans: 0
+        seqScans: 0,
+        indexOnlyScans: 0,
+        heapFetches: 0
       },
       recommendations: []
     };
@@ -185,6 +308,8 @@ export class ValidatorAgent {
         if (result.metrics) {
           summary.indexUsage.indexScans += result.metrics.indexScans;
           summary.indexUsage.seqScans += result.metrics.seqScans;
+          summary.indexUsage.indexOnlyScans += result.metrics.indexOnlyScans?.length || 0;
+          summary.indexUsage.heapFetches += result.metrics.heapFetches || 0;
         }
       });
     }
@@ -194,6 +319,10 @@ export class ValidatorAgent {
       summary.recommendations.push('Consider adding more indexes - high sequential scan ratio detected');
     }
 
+    if (summary.indexUsage.heapFetches > 0) {
+      summary.recommendations.push('Index-only scans are fetching heap pages - VACUUM the table so the visibility map lets covering indexes skip the heap');
+    }
+
     if (summary.avgExecutionTime > 100) {
       summary.recommendations.push('Query performance could be improved - average execution time is high');
     }
@@ -4,6 +4,13 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import rateLimit from 'express-rate-limit';
+import { v4 as uuidv4, validate as uuidValidate } from 'uuid';
+import { TigerService } from './services/tiger.js';
+import { AgentOrchestrator } from './agents/orchestrator.js';
+import { createJobRepository } from './services/jobs/index.js';
+import { generateSimulatedResults } from './services/simulation.js';
+import { checkSelectQuery } from './services/sql-analyzer.js';
+import { OrphanReaper } from './services/reaper.js';
 
 dotenv.config();
 
@@ -66,39 +73,72 @@ app.get('/health', (req, res) => {
     status: 'ok', 
     timestamp: new Date().toISOString(),
     environment: NODE_ENV,
-    version: process.env.npm_package_version || '1.0.0'
+    version: process.env.npm_package_version || '1.0.0',
+    queue: orchestrator.queue.stats()
   });
 });
 
-// Initialize jobs storage with cleanup
-global.jobs = global.jobs || new Map();
-const JOB_TTL = 3600000; // 1 hour TTL
-
-// Cleanup old jobs every 10 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [jobId, job] of global.jobs.entries()) {
-    const jobTime = new Date(job.startTime).getTime();
-    if (now - jobTime > JOB_TTL) {
-      global.jobs.delete(jobId);
-      console.log(`Cleaned up expired job: ${jobId}`);
+// Job history: "file" (local directory), "postgres" (shared table) or "memory" (lost on restart)
+const jobRepository = createJobRepository(process.env.JOB_STORE || 'file', {
+  directory: process.env.JOB_STORE_PATH || path.join(__dirname, '../.jobs'),
+  connectionString: process.env.JOB_STORE_DATABASE_URL,
+  table: process.env.JOB_STORE_TABLE
+});
+
+// Shared agent pipeline - real and simulated jobs are stored in the same repository
+const tigerService = new TigerService();
+// Unfinished jobs without an update for this long have lost their server: the reaper cleans up after
+// them and any server takes them over
+const STALE_AFTER_MS = parseInt(process.env.REAPER_STALE_AFTER_MS, 10) || 1800000;
+const orchestrator = new AgentOrchestrator(tigerService, { jobRepository, staleAfterMs: STALE_AFTER_MS });
+
+// Jobs are kept until they are older than JOB_RETENTION_DAYS (forever when unset)
+const JOB_RETENTION_DAYS = parseFloat(process.env.JOB_RETENTION_DAYS);
+if (JOB_RETENTION_DAYS > 0) {
+  setInterval(async () => {
+    try {
+      const cutoff = new Date(Date.now() - JOB_RETENTION_DAYS * 86400000);
+      const deleted = await jobRepository.deleteOlderThan(cutoff);
+      if (deleted > 0) {
+        console.log(`Cleaned up ${deleted} jobs older than ${JOB_RETENTION_DAYS} days`);
+      }
+    } catch (error) {
+      console.error('Job cleanup failed:', error.message);
     }
-  }
-}, 600000);
-
-// Input validation helper
-const validateQuery = (query) => {
-  if (typeof query !== 'string') return false;
-  if (query.length > 5000) return false; // Max query length
-  // Basic SQL validation (allow SELECT, EXPLAIN, but block dangerous keywords)
-  const dangerousKeywords = /\b(DROP|DELETE|TRUNCATE|ALTER|GRANT|REVOKE)\b/i;
-  return !dangerousKeywords.test(query);
+  }, 600000);
+}
+
+// Reports (and once enabled, removes) forks and test indexes left behind by crashed runs: at startup,
+// then every REAPER_INTERVAL_MS
+const reaper = new OrphanReaper({
+  tigerService,
+  orchestrator,
+  jobRepository,
+  intervalMs: parseInt(process.env.REAPER_INTERVAL_MS ?? '900000', 10),
+  staleAfterMs: STALE_AFTER_MS,
+  // Reports only, until an operator who has read them sets REAPER_DRY_RUN=false
+  dryRun: process.env.REAPER_DRY_RUN !== 'false'
+});
+
+// forks: one isolated database per strategy; sandbox: rolled-back transactions on the base database
+const EXECUTION_MODES = ['forks', 'sandbox'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Simulated jobs waiting for their canned results: jobId -> { job, timer }
+const simulatedRuns = new Map();
+
+// Input validation helper: why a workload query is refused, or null. Queries are parsed, and only a
+// single read-only SELECT is accepted (see checkSelectQuery)
+const validateQuery = async (query) => {
+  if (typeof query !== 'string' || !query.trim()) return 'Query must be a non-empty string';
+  if (query.length > 5000) return 'Query is longer than 5000 characters';
+  return checkSelectQuery(query);
 };
 
 // API Routes with error handling
 app.post('/api/optimize', optimizeLimiter, async (req, res) => {
   try {
-    const { queries, tableName, options } = req.body;
+    const { queries, tableName, options, simulate } = req.body;
 
     // Validation
     if (!queries || !Array.isArray(queries) || queries.length === 0) {
@@ -115,15 +155,30 @@ app.post('/api/optimize', optimizeLimiter, async (req, res) => {
       });
     }
 
+    // An entry is a query, or { query, callsPerHour } to weight it by how often it runs
+    const entries = queries.map(entry => typeof entry === 'string' ? { query: entry } : entry);
+
     // Validate each query
-    for (const query of queries) {
-      if (!validateQuery(query)) {
+    for (const entry of entries) {
+      const problem = entry && typeof entry === 'object' ? await validateQuery(entry.query) : 'Invalid workload entry';
+      if (problem) {
         return res.status(400).json({
-          error: 'Invalid or unsafe query detected',
+          error: `Invalid or unsafe query detected: ${problem}`,
           code: 'INVALID_QUERY'
         });
       }
+      if (entry.callsPerHour !== undefined && !(typeof entry.callsPerHour === 'number' && Number.isFinite(entry.callsPerHour) && entry.callsPerHour > 0)) {
+        return res.status(400).json({
+          error: 'callsPerHour must be a positive number',
+          code: 'INVALID_FREQUENCY'
+        });
+      }
     }
+    const queryList = entries.map(entry => entry.query);
+    // Without any frequency the workload is unweighted; otherwise entries without one run once an hour
+    const frequencies = entries.some(entry => entry.callsPerHour !== undefined)
+      ? entries.map(entry => entry.callsPerHour ?? 1)
+      : null;
 
     // Validate table name
     if (tableName && !/^[a-zA-Z0-9_]+$/.test(tableName)) {
@@ -133,147 +188,103 @@ app.post('/api/optimize', optimizeLimiter, async (req, res) => {
       });
     }
 
-    // Simulate optimization for demo
-    const jobId = `job_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+    // Canned results are only produced when explicitly requested
+    if (simulate === true) {
+      const jobId = uuidv4();
+      const job = {
+        id: jobId,
+        status: 'running',
+        startTime: new Date().toISOString(),
+        queries: queryList,
+        frequencies,
+        tableName: tableName || null,
+        options: options || {},
+        executionMode: 'simulated',
+        owner: orchestrator.instanceId,
+        simulated: true,
+        results: null,
+        error: null
+      };
+
+      await jobRepository.save(job);
+
+      const timer = setTimeout(() => {
+        simulatedRuns.delete(jobId);
+        job.status = 'completed';
+        job.endTime = new Date().toISOString();
+        job.results = generateSimulatedResults(queryList, orchestrator);
+        orchestrator.saveJob(job);
+        orchestrator.events.finish(jobId);
+      }, 5000);
+      simulatedRuns.set(jobId, { job, timer });
 
-    global.jobs.set(jobId, {
-      id: jobId,
-      status: 'running',
-      startTime: new Date().toISOString(),
-      queries: queries.length,
-      tableName: tableName || 'unknown'
-    });
+      return res.json({ jobId, status: 'started', simulated: true });
+    }
 
-    // Simulate completion after delay
-    setTimeout(() => {
-      const job = global.jobs.get(jobId);
-      if (job) {
-        // Generate full demo results structure
-        const avgTimeA = 45 + Math.random() * 20;
-        const avgTimeB = 25 + Math.random() * 15;
-        const improvement = ((avgTimeA - avgTimeB) / avgTimeA) * 100;
+    if (!tigerService.baseConnectionString) {
+      return res.status(503).json({
+        error: 'No database configured (set TIGER_DATABASE_URL or send simulate: true)',
+        code: 'DATABASE_NOT_CONFIGURED'
+      });
+    }
 
-        job.status = 'completed';
-        job.endTime = new Date().toISOString();
-        job.results = {
-          strategies: {
-            strategyA: {
-              name: 'Basic Single-Column Strategy',
-              description: 'Simple single-column B-tree indexes',
-              indexes: [
-                {
-                  name: 'idx_users_email',
-                  sql: 'CREATE INDEX idx_users_email ON users (email);',
-                  type: 'btree',
-                  columns: ['email'],
-                  table: 'users',
-                  rationale: 'Single-column index for WHERE clause filtering on email'
-                },
-                {
-                  name: 'idx_orders_status',
-                  sql: 'CREATE INDEX idx_orders_status ON orders (status);',
-                  type: 'btree',
-                  columns: ['status'],
-                  table: 'orders',
-                  rationale: 'Single-column index for WHERE clause filtering on status'
-                },
-                {
-                  name: 'idx_orders_created_at',
-                  sql: 'CREATE INDEX idx_orders_created_at ON orders (created_at);',
-                  type: 'btree',
-                  columns: ['created_at'],
-                  table: 'orders',
-                  rationale: 'Single-column index for ORDER BY sorting'
-                }
-              ],
-              estimatedSize: 85,
-              complexity: 'low'
-            },
-            strategyB: {
-              name: 'Advanced Composite Strategy',
-              description: 'Optimized composite and partial indexes',
-              indexes: [
-                {
-                  name: 'idx_orders_status_created_at',
-                  sql: 'CREATE INDEX idx_orders_status_created_at ON orders (status, created_at DESC);',
-                  type: 'btree',
-                  columns: ['status', 'created_at'],
-                  table: 'orders',
-                  rationale: 'Composite index covering WHERE and ORDER BY'
-                },
-                {
-                  name: 'idx_products_category_price',
-                  sql: 'CREATE INDEX idx_products_category_price ON products (category, price) WHERE stock_quantity > 0;',
-                  type: 'btree_partial',
-                  columns: ['category', 'price'],
-                  table: 'products',
-                  rationale: 'Partial composite index for multi-column filters'
-                },
-                {
-                  name: 'idx_orders_user_created',
-                  sql: 'CREATE INDEX idx_orders_user_created ON orders (user_id, created_at);',
-                  type: 'btree',
-                  columns: ['user_id', 'created_at'],
-                  table: 'orders',
-                  rationale: 'Composite index for JOIN + ORDER BY queries'
-                }
-              ],
-              estimatedSize: 142,
-              complexity: 'high'
-            }
-          },
-          forks: {
-            forkA: 'demo-strategy-a-fork',
-            forkB: 'demo-strategy-b-fork'
-          },
-          performance: {
-            strategyA: queries.map(q => ({
-              query: q,
-              executionTime: avgTimeA + Math.random() * 10,
-              planningTime: 2 + Math.random() * 3
-            })),
-            strategyB: queries.map(q => ({
-              query: q,
-              executionTime: avgTimeB + Math.random() * 10,
-              planningTime: 1.5 + Math.random() * 2
-            }))
-          },
-          comparison: {
-            strategyA: {
-              name: 'Basic Single-Column Strategy',
-              avgExecutionTime: avgTimeA,
-              queries: queries.length,
-              indexes: 3,
-              estimatedSize: 85
-            },
-            strategyB: {
-              name: 'Advanced Composite Strategy',
-              avgExecutionTime: avgTimeB,
-              queries: queries.length,
-              indexes: 3,
-              estimatedSize: 142
-            },
-            improvement: {
-              percentage: improvement,
-              faster: improvement > 0 ? 'strategyB' : 'strategyA',
-              timeSaved: Math.abs(avgTimeA - avgTimeB)
-            }
-          },
-          recommendation: {
-            action: improvement > 5 ? 'apply_strategy' : 'no_change',
-            strategy: improvement > 0 ? 'strategyB' : 'strategyA',
-            reason: improvement > 5
-              ? `Advanced Composite Strategy shows ${improvement.toFixed(1)}% improvement`
-              : 'Performance difference is negligible',
-            confidence: Math.abs(improvement) > 20 ? 'high' : improvement > 10 ? 'medium' : 'low',
-            estimatedImpact: `Save ~${Math.abs(avgTimeA - avgTimeB).toFixed(2)}ms per query`
-          }
-        };
+    if (options?.strategies !== undefined) {
+      const known = orchestrator.indexTuner.availableStrategies;
+      if (!Array.isArray(options.strategies) || options.strategies.some(id => !known.includes(id))) {
+        return res.status(400).json({
+          error: `Invalid strategies (expected a list drawn from ${known.join(', ')})`,
+          code: 'INVALID_STRATEGIES'
+        });
       }
-    }, 5000);
+    }
+
+    if (options?.baseline !== undefined && typeof options.baseline !== 'string') {
+      return res.status(400).json({
+        error: 'Baseline must be a strategy id',
+        code: 'INVALID_BASELINE'
+      });
+    }
+
+    if (options?.whatIf !== undefined && typeof options.whatIf !== 'boolean') {
+      return res.status(400).json({
+        error: 'whatIf must be true or false',
+        code: 'INVALID_WHAT_IF'
+      });
+    }
+
+    if (options?.whatIfTop !== undefined && !(Number.isInteger(options.whatIfTop) && options.whatIfTop > 0)) {
+      return res.status(400).json({
+        error: 'whatIfTop must be a positive integer',
+        code: 'INVALID_WHAT_IF_TOP'
+      });
+    }
+
+    if (options?.executionMode && !EXECUTION_MODES.includes(options.executionMode)) {
+      return res.status(400).json({
+        error: `Invalid execution mode (expected one of ${EXECUTION_MODES.join(', ')})`,
+        code: 'INVALID_EXECUTION_MODE'
+      });
+    }
+
+    // Jobs are scheduled fairly per client (see JobQueue); without a table name every table the
+    // workload touches is tuned
+    const { jobId, status, queuePosition } = await orchestrator.runABOptimization({
+      queries: queryList,
+      frequencies,
+      tableName: tableName || null,
+      options: options || {},
+      clientId: req.ip
+    });
 
-    res.json({ jobId, status: 'started' });
+    res.json({ jobId, status, queuePosition });
   } catch (error) {
+    if (error.code === 'QUEUE_FULL') {
+      return res.status(503).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
     console.error('Optimization error:', error);
     res.status(500).json({
       error: 'Optimization failed',
@@ -283,29 +294,51 @@ app.post('/api/optimize', optimizeLimiter, async (req, res) => {
   }
 });
 
+// List stored optimizations, newest first
+app.get('/api/optimize', async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200 || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        error: 'limit must be 1-200 and offset must be a non-negative integer',
+        code: 'INVALID_PAGINATION'
+      });
+    }
+
+    res.json({ jobs: await orchestrator.listOptimizations({ limit, offset }), limit, offset });
+  } catch (error) {
+    console.error('Job listing error:', error);
+    res.status(500).json({
+      error: 'Failed to list jobs',
+      code: 'LIST_ERROR'
+    });
+  }
+});
+
 // Get optimization status
 app.get('/api/optimize/:jobId', async (req, res) => {
   try {
     const { jobId } = req.params;
 
     // Validate jobId format
-    if (!/^job_\d+_[a-z0-9]+$/.test(jobId)) {
+    if (!uuidValidate(jobId)) {
       return res.status(400).json({
         error: 'Invalid job ID format',
         code: 'INVALID_JOB_ID'
       });
     }
 
-    const job = global.jobs.get(jobId);
-
-    if (!job) {
+    const status = await orchestrator.getOptimizationStatus(jobId);
+    if (!status) {
       return res.status(404).json({
         error: 'Job not found',
         code: 'JOB_NOT_FOUND'
       });
     }
 
-    res.json(job);
+    res.json(status);
   } catch (error) {
     console.error('Status check error:', error);
     res.status(500).json({
@@ -315,6 +348,160 @@ app.get('/api/optimize/:jobId', async (req, res) => {
   }
 });
 
+// Live progress as Server-Sent Events:
+//   event: status - job status snapshot (same shape as GET /api/optimize/:jobId) after every change
+//   event: agent  - structured agent event; `id` lets a reconnecting client resume via Last-Event-ID
+//   event: end    - the job is finished and the stream closes
+app.get('/api/optimize/:jobId/events', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!uuidValidate(jobId)) {
+      return res.status(400).json({
+        error: 'Invalid job ID format',
+        code: 'INVALID_JOB_ID'
+      });
+    }
+
+    const status = await orchestrator.getOptimizationStatus(jobId);
+    if (!status) {
+      return res.status(404).json({
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // keep reverse proxies from buffering the stream
+    });
+    res.flushHeaders();
+
+    const send = (event, data, id) => {
+      res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const end = () => {
+      send('end', { jobId });
+      res.end();
+    };
+
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+    for (const event of orchestrator.events.history(jobId, Number.isNaN(lastEventId) ? -1 : lastEventId)) {
+      send('agent', event, event.id);
+    }
+    send('status', status);
+
+    // Finished jobs, and jobs run by another server process, have nothing more to stream here
+    const runningHere = orchestrator.activeJobs.has(jobId) || simulatedRuns.has(jobId);
+    if (FINISHED_STATUSES.includes(status.status) || !runningHere) {
+      return end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    const unsubscribe = orchestrator.events.subscribe(jobId, {
+      onAgentEvent: event => send('agent', event, event.id),
+      onStatus: update => send('status', update),
+      onEnd: end
+    });
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    // The job may have finished while the status was being read
+    if (orchestrator.events.isFinished(jobId)) {
+      send('status', await orchestrator.getOptimizationStatus(jobId));
+      end();
+    }
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Failed to open event stream',
+      code: 'EVENT_STREAM_ERROR'
+    });
+  }
+});
+
+// Cancel a running optimization; responds once its forks/sandboxes have been cleaned up
+app.delete('/api/optimize/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!uuidValidate(jobId)) {
+      return res.status(400).json({
+        error: 'Invalid job ID format',
+        code: 'INVALID_JOB_ID'
+      });
+    }
+
+    const simulatedRun = simulatedRuns.get(jobId);
+    if (simulatedRun) {
+      clearTimeout(simulatedRun.timer);
+      simulatedRuns.delete(jobId);
+      Object.assign(simulatedRun.job, {
+        status: 'cancelled',
+        error: 'Optimization cancelled',
+        endTime: new Date().toISOString()
+      });
+      await orchestrator.saveJob(simulatedRun.job);
+      orchestrator.events.finish(jobId);
+      return res.json(await orchestrator.getOptimizationStatus(jobId));
+    }
+
+    const cancelled = await orchestrator.cancelOptimization(jobId);
+    if (cancelled) {
+      return res.json(cancelled);
+    }
+
+    const status = await orchestrator.getOptimizationStatus(jobId);
+    if (!status) {
+      return res.status(404).json({
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    if (FINISHED_STATUSES.includes(status.status)) {
+      return res.status(409).json({
+        error: `Job already ${status.status}`,
+        code: 'JOB_ALREADY_FINISHED'
+      });
+    }
+
+    // Stored as running, but the run belongs to another server process (or one that exited)
+    res.status(409).json({
+      error: 'Job is not running in this server process',
+      code: 'JOB_NOT_CANCELLABLE'
+    });
+  } catch (error) {
+    console.error('Cancellation error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel job',
+      code: 'CANCEL_ERROR'
+    });
+  }
+});
+
+// What the reaper would delete right now (never deletes anything)
+app.get('/api/reaper', async (req, res) => {
+  try {
+    const { forks, indexes, errors } = await reaper.run({ dryRun: true });
+    res.json({ forks, indexes, errors });
+  } catch (error) {
+    console.error('Reaper report error:', error);
+    res.status(500).json({
+      error: 'Failed to build reaper report',
+      code: 'REAPER_ERROR'
+    });
+  }
+});
+
 // Catch-all handler for production
 if (NODE_ENV === 'production') {
   app.get('*', (req, res) => {
@@ -342,13 +529,21 @@ app.use((err, req, res, next) => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  reaper.stop();
+  await orchestrator.suspendAll();
+  await tigerService.shutdown();
+  await jobRepository.close();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  reaper.stop();
+  await orchestrator.suspendAll();
+  await tigerService.shutdown();
+  await jobRepository.close();
   process.exit(0);
 });
 
@@ -363,10 +558,34 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
+await jobRepository.init();
+
+// Jobs interrupted by a crash or restart continue from their last checkpoint (JOB_RESUME=false fails them instead)
+const JOB_RESUME = process.env.JOB_RESUME !== 'false';
+const resumed = await orchestrator.resumeJobs({ enabled: JOB_RESUME });
+
+// Keep this server's jobs from looking stale, and take over those of servers that went away
+orchestrator.startHeartbeat();
+setInterval(async () => {
+  try {
+    const adopted = await orchestrator.resumeJobs({ enabled: JOB_RESUME, startup: false });
+    if (adopted > 0) {
+      console.log(`♻️  Took over ${adopted} stale jobs`);
+    }
+  } catch (error) {
+    console.error('Stale job scan failed:', error.message);
+  }
+}, STALE_AFTER_MS / 3).unref();
+
 const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 A/B Index Optimizer ready (${NODE_ENV})`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+  console.log(`🗄️  Job store: ${jobRepository.name}`);
+  if (resumed > 0) {
+    console.log(`♻️  Resumed ${resumed} interrupted jobs`);
+  }
+  reaper.start();
 });
 
 // Handle server errors
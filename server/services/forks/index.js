@@ -0,0 +1,28 @@
+import { TigerForkProvider } from './tiger-provider.js';
+import { TemplateForkProvider } from './template-provider.js';
+
+/**
+ * Fork providers give each strategy an isolated database to run DDL against.
+ *
+ * Every provider implements:
+ *   createFork(forkName, { signal })  -> { forkName, connectionString, created, isSimulated, provider }
+ *   attachFork(forkName, { signal })  -> the same details for a fork created earlier, or null if it is gone
+ *   deleteFork(forkName)              -> { deleted, forkName, error? }
+ *   getForkConnectionString(forkName) -> connection string for an existing fork
+ *   listForks()                       -> [{ name, status, created }]
+ */
+const PROVIDERS = {
+  tiger: TigerForkProvider,
+  template: TemplateForkProvider
+};
+
+export function createForkProvider(name, options) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown fork provider: ${name} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider(options);
+}
+
+export { TigerForkProvider, TemplateForkProvider };
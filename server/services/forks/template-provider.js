@@ -0,0 +1,182 @@
+import pg from 'pg';
+
+const { Client } = pg;
+
+const DEFAULT_PREFIX = 'abfork_';
+const MAX_IDENTIFIER_LENGTH = 63; // NAMEDATALEN - 1
+const OBJECT_IN_USE = '55006';
+
+/**
+ * Fork provider for any plain PostgreSQL server.
+ * Each fork is a real copy made with CREATE DATABASE ... TEMPLATE, so strategies
+ * can run DDL in isolation on laptops and in CI without Tiger Cloud.
+ *
+ * PostgreSQL refuses to copy a template that has other open connections, so point
+ * FORK_TEMPLATE_DATABASE at a database nobody else is using when the base one is busy.
+ */
+export class TemplateForkProvider {
+  constructor({ baseConnectionString } = {}) {
+    if (!baseConnectionString) {
+      throw new Error('Template fork provider requires TIGER_DATABASE_URL');
+    }
+
+    this.name = 'template';
+    this.baseConnectionString = baseConnectionString;
+    this.prefix = process.env.FORK_DB_PREFIX || DEFAULT_PREFIX;
+    this.templateDatabase = process.env.FORK_TEMPLATE_DATABASE
+      || decodeURIComponent(new URL(baseConnectionString).pathname.slice(1));
+    this.adminConnectionString = process.env.FORK_ADMIN_DATABASE_URL
+      || this.withDatabase(baseConnectionString, 'postgres');
+    this.createRetries = 5;
+    this.retryDelayMs = 1000;
+    this.forks = new Map(); // forkName -> fork details, for forks created by this process
+  }
+
+  async createFork(forkName, { signal } = {}) {
+    const databaseName = this.databaseNameFor(forkName);
+
+    try {
+      await this.withAdminClient(async (client) => {
+        const sql = `CREATE DATABASE ${client.escapeIdentifier(databaseName)} TEMPLATE ${client.escapeIdentifier(this.templateDatabase)}`;
+
+        for (let attempt = 1; ; attempt++) {
+          signal?.throwIfAborted();
+          try {
+            await client.query(sql);
+            return;
+          } catch (error) {
+            // The template is briefly busy (e.g. an idle pooled connection) - wait and retry
+            if (error.code !== OBJECT_IN_USE || attempt >= this.createRetries) {
+              throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * attempt));
+          }
+        }
+      });
+
+      const fork = {
+        forkName,
+        databaseName,
+        connectionString: this.getForkConnectionString(forkName),
+        created: new Date().toISOString(),
+        isSimulated: false,
+        provider: this.name
+      };
+      this.forks.set(forkName, fork);
+      console.log(`Created template fork: ${databaseName} (from ${this.templateDatabase})`);
+
+      return fork;
+    } catch (error) {
+      throw new Error(`Failed to create fork ${forkName}: ${error.message}`);
+    }
+  }
+
+  // Reconnect to a fork created before a restart; null when its database is gone
+  async attachFork(forkName) {
+    const databaseName = this.databaseNameFor(forkName);
+
+    try {
+      const result = await this.withAdminClient(client => client.query(
+        'SELECT 1 FROM pg_database WHERE datname = $1',
+        [databaseName]
+      ));
+      if (result.rowCount === 0) {
+        return null;
+      }
+    } catch (error) {
+      throw new Error(`Failed to attach fork ${forkName}: ${error.message}`);
+    }
+
+    const fork = {
+      forkName,
+      databaseName,
+      connectionString: this.getForkConnectionString(forkName),
+      created: this.forks.get(forkName)?.created || null,
+      isSimulated: false,
+      provider: this.name
+    };
+    this.forks.set(forkName, fork);
+
+    return fork;
+  }
+
+  async deleteFork(forkName) {
+    const databaseName = this.databaseNameFor(forkName);
+
+    try {
+      await this.withAdminClient(async (client) => {
+        // Disconnect any lingering test sessions, otherwise DROP DATABASE fails
+        await client.query(
+          'SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE datname = $1 AND pid <> pg_backend_pid()',
+          [databaseName]
+        );
+        await client.query(`DROP DATABASE IF EXISTS ${client.escapeIdentifier(databaseName)}`);
+      });
+
+      this.forks.delete(forkName);
+      console.log(`Dropped template fork: ${databaseName}`);
+      return { deleted: true, forkName };
+    } catch (error) {
+      console.warn(`Failed to delete fork ${forkName}:`, error.message);
+      return { deleted: false, forkName, error: error.message };
+    }
+  }
+
+  async listForks() {
+    try {
+      return await this.withAdminClient(async (client) => {
+        const result = await client.query(
+          'SELECT datname FROM pg_database WHERE left(datname, length($1)) = $1 ORDER BY datname',
+          [this.prefix]
+        );
+
+        return result.rows.map(row => {
+          const name = row.datname.slice(this.prefix.length);
+          return {
+            name,
+            status: 'active',
+            created: this.forks.get(name)?.created || null,
+            databaseName: row.datname
+          };
+        });
+      });
+    } catch (error) {
+      throw new Error(`Failed to list forks: ${error.message}`);
+    }
+  }
+
+  getForkConnectionString(forkName) {
+    return this.withDatabase(this.baseConnectionString, this.databaseNameFor(forkName));
+  }
+
+  // Fork databases are named <prefix><forkName> so they can be listed and mapped back
+  databaseNameFor(forkName) {
+    if (!forkName || !/^[a-zA-Z0-9_-]+$/.test(forkName)) {
+      throw new Error(`Invalid fork name: ${forkName}`);
+    }
+
+    const databaseName = `${this.prefix}${forkName}`;
+    if (databaseName.length > MAX_IDENTIFIER_LENGTH) {
+      throw new Error(`Fork name too long for a database name: ${forkName}`);
+    }
+
+    return databaseName;
+  }
+
+  withDatabase(connectionString, databaseName) {
+    const url = new URL(connectionString);
+    url.pathname = `/${encodeURIComponent(databaseName)}`;
+    return url.toString();
+  }
+
+  async withAdminClient(fn) {
+    const client = new Client({ connectionString: this.adminConnectionString });
+
+    try {
+      await client.connect();
+      return await fn(client);
+    } finally {
+      await client.end();
+    }
+  }
+}
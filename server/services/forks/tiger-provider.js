@@ -0,0 +1,291 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { setTimeout as sleep } from 'timers/promises';
+
+const execFileAsync = promisify(execFile);
+
+const READY_STATUSES = ['ready', 'running', 'active'];
+const FAILED_STATUSES = ['failed', 'error', 'deleted'];
+
+/**
+ * Fork provider backed by Tiger Cloud services.
+ * Each fork is a separate Tiger service created from the base service with `tiger service fork`.
+ * Set TIGER_CLI_PATH to any executable that speaks the same CLI (e.g. scripts/fake-tiger.js).
+ */
+export class TigerForkProvider {
+  constructor({ baseConnectionString, serviceName } = {}) {
+    this.name = 'tiger';
+    this.baseConnectionString = baseConnectionString;
+    this.serviceName = serviceName;
+    this.sourceServiceId = process.env.TIGER_SERVICE_ID || serviceName;
+    this.tigerPath = process.env.TIGER_CLI_PATH || 'tiger';
+    this.commandTimeoutMs = parseInt(process.env.TIGER_CLI_TIMEOUT_MS, 10) || 60000;
+    this.pollIntervalMs = parseInt(process.env.TIGER_FORK_POLL_INTERVAL_MS, 10) || 5000;
+    this.readyTimeoutMs = parseInt(process.env.TIGER_FORK_READY_TIMEOUT_MS, 10) || 600000;
+    this.forks = new Map(); // forkName -> { serviceId, connectionString, created }
+  }
+
+  // Create a zero-copy fork for testing and wait until it accepts connections.
+  // Aborting `signal` stops the readiness wait and deletes the half-created fork
+  async createFork(forkName, { signal } = {}) {
+    if (!forkName || !/^[a-zA-Z0-9_-]+$/.test(forkName)) {
+      throw new Error(`Invalid fork name: ${forkName}`);
+    }
+
+    let serviceId = null;
+
+    try {
+      const stdout = await this.runCli([
+        'service', 'fork', this.sourceServiceId,
+        '--now', '--name', forkName, '--no-wait', '--output', 'json'
+      ]);
+      const created = this.parseServiceOutput(stdout);
+      serviceId = created.serviceId;
+
+      if (!serviceId) {
+        throw new Error('Could not find a service ID in tiger output');
+      }
+
+      // Register right away so a failure while waiting can still delete the fork
+      this.forks.set(forkName, { serviceId, connectionString: null, created: new Date().toISOString() });
+      console.log(`Creating Tiger fork ${forkName} (service ${serviceId})`);
+
+      const ready = await this.waitForReady(serviceId, signal);
+      const connectionString = this.withBaseCredentials(
+        created.connectionString || ready.connectionString || await this.fetchConnectionString(serviceId)
+      );
+
+      const fork = this.forks.get(forkName);
+      fork.connectionString = connectionString;
+
+      return {
+        forkName,
+        serviceId,
+        connectionString,
+        created: fork.created,
+        isSimulated: false,
+        provider: this.name
+      };
+    } catch (error) {
+      if (serviceId) {
+        await this.deleteFork(forkName);
+      }
+      throw new Error(`Failed to create fork ${forkName}: ${error.message}`);
+    }
+  }
+
+  // Reconnect to a fork created before a restart (waiting for it if it is still starting up).
+  // Returns null when no such fork exists
+  async attachFork(forkName, { signal } = {}) {
+    try {
+      const serviceId = await this.resolveServiceId(forkName);
+      if (!serviceId) {
+        return null;
+      }
+
+      const ready = await this.waitForReady(serviceId, signal);
+      const connectionString = this.withBaseCredentials(
+        ready.connectionString || await this.fetchConnectionString(serviceId)
+      );
+      const created = ready.created || new Date().toISOString();
+      this.forks.set(forkName, { serviceId, connectionString, created });
+
+      return {
+        forkName,
+        serviceId,
+        connectionString,
+        created,
+        isSimulated: false,
+        provider: this.name
+      };
+    } catch (error) {
+      throw new Error(`Failed to attach fork ${forkName}: ${error.message}`);
+    }
+  }
+
+  // Delete a fork when done
+  async deleteFork(forkName) {
+    try {
+      const serviceId = await this.resolveServiceId(forkName);
+      if (!serviceId) {
+        throw new Error('No Tiger service found for this fork');
+      }
+
+      await this.runCli(['service', 'delete', serviceId, '--confirm']);
+      this.forks.delete(forkName);
+      console.log(`Deleted Tiger fork ${forkName} (service ${serviceId})`);
+
+      return { deleted: true, forkName, serviceId };
+    } catch (error) {
+      console.warn(`Failed to delete fork ${forkName}:`, error.message);
+      return { deleted: false, forkName, error: error.message };
+    }
+  }
+
+  // List all forks
+  async listForks() {
+    try {
+      const stdout = await this.runCli(['service', 'list', '--output', 'json']);
+
+      // Forks show up as separate services
+      return this.parseForksList(stdout);
+    } catch (error) {
+      throw new Error(`Failed to list forks: ${error.message}`);
+    }
+  }
+
+  // Get connection string for a fork created by this process
+  getForkConnectionString(forkName) {
+    const fork = this.forks.get(forkName);
+    if (!fork?.connectionString) {
+      throw new Error(`Unknown fork: ${forkName}`);
+    }
+    return fork.connectionString;
+  }
+
+  async waitForReady(serviceId, signal) {
+    const deadline = Date.now() + this.readyTimeoutMs;
+
+    while (true) {
+      signal?.throwIfAborted();
+      const service = this.parseServiceOutput(
+        await this.runCli(['service', 'get', serviceId, '--output', 'json'])
+      );
+      const status = (service.status || '').toLowerCase();
+
+      if (READY_STATUSES.includes(status)) {
+        return service;
+      }
+      if (FAILED_STATUSES.includes(status)) {
+        throw new Error(`Fork service ${serviceId} entered status ${service.status}`);
+      }
+      if (Date.now() + this.pollIntervalMs > deadline) {
+        throw new Error(`Fork service ${serviceId} not ready after ${this.readyTimeoutMs}ms (last status: ${service.status || 'unknown'})`);
+      }
+
+      await sleep(this.pollIntervalMs, undefined, { signal });
+    }
+  }
+
+  async fetchConnectionString(serviceId) {
+    const stdout = await this.runCli(['db', 'connection-string', serviceId]);
+    const connectionString = this.extractConnectionString(stdout);
+    if (!connectionString) {
+      throw new Error(`Could not find a connection string for service ${serviceId}`);
+    }
+    return connectionString;
+  }
+
+  // Registry first; fall back to the service list for forks left by another process
+  async resolveServiceId(forkName) {
+    const known = this.forks.get(forkName);
+    if (known) {
+      return known.serviceId;
+    }
+
+    const services = await this.listForks();
+    return services.find(service => service.name === forkName)?.serviceId || null;
+  }
+
+  // Forks inherit the parent's credentials, which the CLI does not print
+  withBaseCredentials(connectionString) {
+    if (!this.baseConnectionString) {
+      return connectionString;
+    }
+
+    const url = new URL(connectionString);
+    const base = new URL(this.baseConnectionString);
+    if (!url.password && base.password) {
+      url.username = url.username || base.username;
+      url.password = base.password;
+    }
+    return url.toString();
+  }
+
+  async runCli(args) {
+    try {
+      const { stdout } = await execFileAsync(this.tigerPath, args, { timeout: this.commandTimeoutMs });
+      return stdout;
+    } catch (error) {
+      const detail = error.stderr?.trim() || error.message;
+      throw new Error(`tiger ${args.slice(0, 2).join(' ')} failed: ${detail}`);
+    }
+  }
+
+  // Parse `tiger service fork|get` output (JSON, or the human-readable format as a fallback)
+  parseServiceOutput(output) {
+    const json = this.parseJson(output);
+    if (json && !Array.isArray(json)) {
+      return this.normalizeService(json);
+    }
+
+    const status = output.match(/Status[:\s]+([A-Za-z_]+)/i);
+    const name = output.match(/Name[:\s]+([a-zA-Z0-9_-]+)/i);
+    return {
+      serviceId: this.extractServiceIdFromOutput(output),
+      name: name ? name[1] : null,
+      status: status ? status[1] : null,
+      connectionString: this.extractConnectionString(output)
+    };
+  }
+
+  // Extract service ID from Tiger CLI output
+  extractServiceIdFromOutput(output) {
+    const json = this.parseJson(output);
+    if (json && !Array.isArray(json)) {
+      return this.normalizeService(json).serviceId;
+    }
+
+    const match = output.match(/Service ID[:\s]+([a-z0-9-]+)/i);
+    return match ? match[1] : null;
+  }
+
+  extractConnectionString(output) {
+    const match = output.match(/postgres(?:ql)?:\/\/[^\s'"]+/);
+    return match ? match[0] : null;
+  }
+
+  // Helper to parse forks list output
+  parseForksList(output) {
+    const json = this.parseJson(output);
+    if (Array.isArray(json)) {
+      return json.map(service => {
+        const { serviceId, name, status, created } = this.normalizeService(service);
+        return { name, serviceId, status: status || 'unknown', created };
+      });
+    }
+
+    // Plain table output: skip the header row
+    const lines = output.split('\n').filter(line => line.trim() && !/^\s*(service[_ ]id|id|name)\b/i.test(line));
+    return lines.map(line => {
+      const parts = line.trim().split(/\s+/);
+      return {
+        name: parts[1] || parts[0],
+        serviceId: parts[0],
+        status: parts[2] || 'unknown',
+        created: parts[3] || null
+      };
+    });
+  }
+
+  normalizeService(service) {
+    return {
+      serviceId: service.service_id || service.serviceId || service.id || null,
+      name: service.name || null,
+      status: service.status || null,
+      created: service.created || service.created_at || null,
+      connectionString: service.connection_string || service.connectionString || null
+    };
+  }
+
+  parseJson(output) {
+    const start = output.search(/[[{]/);
+    if (start === -1) return null;
+
+    try {
+      return JSON.parse(output.slice(start));
+    } catch {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,108 @@
+import { EventEmitter } from 'events';
+
+const HISTORY_LIMIT = 1000; // agent events kept per job for late or reconnecting subscribers
+const RETAIN_MS = 600000; // how long a finished job's events stay replayable
+
+// The UI status each event type maps to
+const EVENT_STATUS = {
+  step_started: 'running',
+  step_finished: 'completed',
+  step_failed: 'error',
+  index_created: 'completed',
+  index_failed: 'error',
+  index_dropped: 'completed',
+  query_timed: 'completed',
+  query_failed: 'error',
+  parse_failed: 'error'
+};
+
+/**
+ * In-process pub/sub for job progress, consumed by the SSE endpoint.
+ *
+ * Two kinds of messages flow per job:
+ *   agent  - structured agent events ({ id, agent, type, message, status, strategy?, ...details }),
+ *            kept in a bounded history so reconnecting clients can resume from Last-Event-ID
+ *   status - the job status snapshot after every change (same shape as GET /api/optimize/:jobId)
+ * and a final `end` once the job is finished.
+ */
+export class JobEventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // one listener per open SSE connection
+    this.histories = new Map(); // jobId -> { events, nextId, finished }
+  }
+
+  emitAgentEvent(jobId, { agent, type, message, ...details }) {
+    const history = this.historyFor(jobId);
+    const event = {
+      id: history.nextId++,
+      jobId,
+      agent,
+      type,
+      status: EVENT_STATUS[type] || 'running',
+      message,
+      ...details,
+      timestamp: new Date().toISOString()
+    };
+
+    history.events.push(event);
+    if (history.events.length > HISTORY_LIMIT) {
+      history.events.shift();
+    }
+
+    this.emitter.emit(`${jobId}:agent`, event);
+    return event;
+  }
+
+  emitStatus(jobId, status) {
+    this.emitter.emit(`${jobId}:status`, status);
+  }
+
+  // No more events will follow; the history stays replayable for a while
+  finish(jobId) {
+    const history = this.historyFor(jobId);
+    history.finished = true;
+    this.emitter.emit(`${jobId}:end`);
+
+    setTimeout(() => {
+      if (this.histories.get(jobId) === history) {
+        this.histories.delete(jobId);
+      }
+    }, RETAIN_MS).unref();
+  }
+
+  // For a job resumed after a restart: its earlier ids are unknown, so number new events past
+  // any id a reconnecting client could send as Last-Event-ID
+  continueIds(jobId) {
+    const history = this.historyFor(jobId);
+    history.nextId = Math.max(history.nextId, Date.now());
+  }
+
+  // Agent events with an id greater than afterId
+  history(jobId, afterId = -1) {
+    return (this.histories.get(jobId)?.events || []).filter(event => event.id > afterId);
+  }
+
+  isFinished(jobId) {
+    return Boolean(this.histories.get(jobId)?.finished);
+  }
+
+  // Returns an unsubscribe function
+  subscribe(jobId, { onAgentEvent, onStatus, onEnd }) {
+    const listeners = [
+      [`${jobId}:agent`, onAgentEvent],
+      [`${jobId}:status`, onStatus],
+      [`${jobId}:end`, onEnd]
+    ].filter(([, listener]) => listener);
+
+    listeners.forEach(([name, listener]) => this.emitter.on(name, listener));
+    return () => listeners.forEach(([name, listener]) => this.emitter.off(name, listener));
+  }
+
+  historyFor(jobId) {
+    if (!this.histories.has(jobId)) {
+      this.histories.set(jobId, { events: [], nextId: 1, finished: false });
+    }
+    return this.histories.get(jobId);
+  }
+}
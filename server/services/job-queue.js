@@ -0,0 +1,162 @@
+/**
+ * Admission control in front of the orchestrator.
+ *
+ * A job starts only when a job slot is free and its fork reservation fits in the
+ * live-fork budget, so a shared Tiger account never holds more than maxLiveForks forks.
+ * Waiting jobs are kept per client and served round-robin: one client submitting
+ * ten jobs can't push everyone else to the back of the line.
+ */
+export class JobQueue {
+  constructor({ maxConcurrentJobs = 3, maxLiveForks = 6, maxQueuedJobs = 50 } = {}) {
+    this.maxConcurrentJobs = maxConcurrentJobs;
+    this.maxLiveForks = maxLiveForks;
+    this.maxQueuedJobs = maxQueuedJobs;
+    this.queues = new Map(); // clientId -> FIFO of waiting entries
+    this.clients = []; // clients with waiting jobs, in round-robin order
+    this.turn = 0; // index into clients of the next client to serve; past the end means the first
+    this.running = new Map(); // jobId -> forks reserved
+    this.onChange = () => {}; // called whenever queue positions may have moved
+  }
+
+  get queuedCount() {
+    return [...this.queues.values()].reduce((sum, queue) => sum + queue.length, 0);
+  }
+
+  get liveForks() {
+    return [...this.running.values()].reduce((sum, forks) => sum + forks, 0);
+  }
+
+  isFull() {
+    return this.queuedCount >= this.maxQueuedJobs;
+  }
+
+  assertCapacity() {
+    if (this.isFull()) {
+      const error = new Error(`Optimization queue is full (${this.maxQueuedJobs} jobs waiting)`);
+      error.code = 'QUEUE_FULL';
+      error.status = 503;
+      throw error;
+    }
+  }
+
+  // entry: { jobId, clientId, forks, run({ forks }) -> Promise }
+  enqueue(entry) {
+    this.assertCapacity();
+
+    // A job can never reserve more than the whole budget; it just runs with fewer forks at a time
+    const forks = Math.min(entry.forks, this.maxLiveForks);
+
+    if (!this.queues.has(entry.clientId)) {
+      this.queues.set(entry.clientId, []);
+      this.clients.push(entry.clientId);
+    }
+    this.queues.get(entry.clientId).push({ ...entry, forks });
+
+    this.schedule();
+    this.onChange();
+  }
+
+  // Drop a job that hasn't started yet; returns false if it isn't waiting
+  remove(jobId) {
+    for (const [clientId, queue] of this.queues.entries()) {
+      const index = queue.findIndex(entry => entry.jobId === jobId);
+      if (index !== -1) {
+        queue.splice(index, 1);
+        if (queue.length === 0) {
+          this.dropClient(clientId);
+        }
+        this.onChange();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // 1-based position in the order jobs would start, or null if the job isn't waiting
+  positionOf(jobId) {
+    const position = this.order().findIndex(entry => entry.jobId === jobId);
+    return position === -1 ? null : position + 1;
+  }
+
+  stats() {
+    return {
+      running: this.running.size,
+      queued: this.queuedCount,
+      liveForks: this.liveForks,
+      maxConcurrentJobs: this.maxConcurrentJobs,
+      maxLiveForks: this.maxLiveForks
+    };
+  }
+
+  schedule() {
+    let started = false;
+
+    while (this.clients.length > 0 && this.running.size < this.maxConcurrentJobs) {
+      if (this.turn >= this.clients.length) {
+        this.turn = 0;
+      }
+      const clientId = this.clients[this.turn];
+      const queue = this.queues.get(clientId);
+      const entry = queue[0];
+
+      // Strictly in turn: skipping a large job for smaller ones could starve it forever
+      if (this.liveForks + entry.forks > this.maxLiveForks) {
+        break;
+      }
+
+      queue.shift();
+      if (queue.length === 0) {
+        this.dropClient(clientId);
+      } else {
+        // Not wrapped yet: clients that start waiting before the next job starts are appended here
+        // and go before this one's next job
+        this.turn++;
+      }
+
+      this.running.set(entry.jobId, entry.forks);
+      started = true;
+
+      Promise.resolve()
+        .then(() => entry.run({ forks: entry.forks }))
+        .catch(error => console.error(`Queued job ${entry.jobId} failed to run:`, error.message))
+        .finally(() => {
+          this.running.delete(entry.jobId);
+          this.schedule();
+        });
+    }
+
+    if (started) {
+      this.onChange();
+    }
+  }
+
+  // Waiting entries in the order schedule() would start them
+  order() {
+    const queues = this.clients.map(clientId => [...this.queues.get(clientId)]);
+    const order = [];
+    let turn = this.turn < queues.length ? this.turn : 0;
+
+    while (queues.length > 0) {
+      order.push(queues[turn].shift());
+      if (queues[turn].length === 0) {
+        queues.splice(turn, 1);
+        if (turn >= queues.length) turn = 0;
+      } else {
+        turn = (turn + 1) % queues.length;
+      }
+    }
+
+    return order;
+  }
+
+  dropClient(clientId) {
+    const index = this.clients.indexOf(clientId);
+    this.queues.delete(clientId);
+    this.clients.splice(index, 1);
+
+    // The client after the removed one moved into its slot
+    if (index < this.turn) {
+      this.turn--;
+    }
+  }
+}
@@ -0,0 +1,110 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { summarizeJob } from './summary.js';
+
+/**
+ * Stores each job as <jobId>.json in a local directory, for single-machine use without a database.
+ * Writes go to a temporary file that is renamed into place, so a crash never leaves half a job.
+ * Each file's modification time is set to the job's start time, which lets list() order jobs by
+ * start time like the other repositories while reading only the requested page.
+ */
+export class FileJobRepository {
+  constructor({ directory } = {}) {
+    if (!directory) {
+      throw new Error('File job store requires a directory (JOB_STORE_PATH)');
+    }
+
+    this.name = 'file';
+    this.directory = directory;
+  }
+
+  async init() {
+    await fs.mkdir(this.directory, { recursive: true });
+  }
+
+  async save(job) {
+    const file = this.pathFor(job.id);
+    const tmp = `${file}.${process.pid}.tmp`;
+
+    await fs.writeFile(tmp, JSON.stringify(job, null, 2));
+    const startTime = new Date(job.startTime);
+    if (!Number.isNaN(startTime.getTime())) {
+      await fs.utimes(tmp, new Date(), startTime);
+    }
+    await fs.rename(tmp, file);
+  }
+
+  async get(jobId) {
+    try {
+      return JSON.parse(await fs.readFile(this.pathFor(jobId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Newest start first, paged by the modification times save() sets, so only the requested page is
+  // read and parsed
+  async list({ limit = 50, offset = 0 } = {}) {
+    const files = [];
+    for (const file of await this.jobFiles()) {
+      try {
+        files.push({ file, mtime: (await fs.stat(path.join(this.directory, file))).mtimeMs });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    const page = files.sort((a, b) => b.mtime - a.mtime).slice(offset, offset + limit);
+    const jobs = [];
+    for (const { file } of page) {
+      const job = await this.readFile(file);
+      if (job) jobs.push(summarizeJob(job));
+    }
+    return jobs;
+  }
+
+  async deleteOlderThan(date) {
+    let deleted = 0;
+    for (const job of await this.readAll()) {
+      if (new Date(job.startTime) < date) {
+        await fs.rm(this.pathFor(job.id), { force: true });
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async close() {}
+
+  async readAll() {
+    const jobs = [];
+    for (const file of await this.jobFiles()) {
+      const job = await this.readFile(file);
+      if (job) jobs.push(job);
+    }
+    return jobs;
+  }
+
+  async jobFiles() {
+    return (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+  }
+
+  async readFile(file) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+    } catch (error) {
+      // Another process may have removed it in the meantime, or it was edited by hand
+      console.warn(`Skipping unreadable job file ${file}:`, error.message);
+      return null;
+    }
+  }
+
+  // Job IDs become file names, so only allow what a UUID can contain
+  pathFor(jobId) {
+    if (!jobId || !/^[a-zA-Z0-9-]+$/.test(jobId)) {
+      throw new Error(`Invalid job ID: ${jobId}`);
+    }
+    return path.join(this.directory, `${jobId}.json`);
+  }
+}
@@ -0,0 +1,33 @@
+import { MemoryJobRepository } from './memory-repository.js';
+import { FileJobRepository } from './file-repository.js';
+import { PostgresJobRepository } from './postgres-repository.js';
+
+/**
+ * Job repositories keep optimization jobs - inputs, strategies, per-query measurements
+ * with their plans, and recommendations - so finished runs can be reopened and audited.
+ *
+ * Every repository implements:
+ *   init()                        -> prepares storage (directory, table)
+ *   save(job)                     -> inserts or replaces the job document
+ *   get(jobId)                    -> the job document, or null
+ *   list({ limit, offset })       -> newest first, as summaries (see summarizeJob)
+ *   deleteOlderThan(date)         -> number of jobs removed
+ *   close()
+ */
+const REPOSITORIES = {
+  memory: MemoryJobRepository,
+  file: FileJobRepository,
+  postgres: PostgresJobRepository
+};
+
+export function createJobRepository(name, options) {
+  const Repository = REPOSITORIES[name];
+  if (!Repository) {
+    throw new Error(`Unknown job store: ${name} (expected one of ${Object.keys(REPOSITORIES).join(', ')})`);
+  }
+
+  return new Repository(options);
+}
+
+export { summarizeJob } from './summary.js';
+export { MemoryJobRepository, FileJobRepository, PostgresJobRepository };
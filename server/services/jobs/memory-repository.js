@@ -0,0 +1,43 @@
+import { summarizeJob } from './summary.js';
+
+/**
+ * Keeps jobs in process memory. Nothing survives a restart - meant for tests and throwaway runs.
+ */
+export class MemoryJobRepository {
+  constructor() {
+    this.name = 'memory';
+    this.jobs = new Map();
+  }
+
+  async init() {}
+
+  // Store a copy so later mutations of the live job don't leak into saved history
+  async save(job) {
+    this.jobs.set(job.id, structuredClone(job));
+  }
+
+  async get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? structuredClone(job) : null;
+  }
+
+  async list({ limit = 50, offset = 0 } = {}) {
+    return [...this.jobs.values()]
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+      .slice(offset, offset + limit)
+      .map(summarizeJob);
+  }
+
+  async deleteOlderThan(date) {
+    let deleted = 0;
+    for (const [jobId, job] of this.jobs.entries()) {
+      if (new Date(job.startTime) < date) {
+        this.jobs.delete(jobId);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async close() {}
+}
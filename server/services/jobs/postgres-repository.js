@@ -0,0 +1,117 @@
+import pg from 'pg';
+
+const { Pool } = pg;
+
+const DEFAULT_TABLE = 'ab_optimizer_jobs';
+
+/**
+ * Stores jobs in a PostgreSQL table, so history is shared by every server process
+ * and survives restarts. The full job document lives in a jsonb column; the columns
+ * next to it exist for listing and retention queries.
+ */
+export class PostgresJobRepository {
+  constructor({ connectionString, table } = {}) {
+    if (!connectionString) {
+      // Never the database being tuned: job tables don't belong there, and an idle pooled
+      // connection to it would block template forks
+      throw new Error('Postgres job store requires JOB_STORE_DATABASE_URL');
+    }
+
+    this.name = 'postgres';
+    this.table = table || DEFAULT_TABLE;
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(this.table)) {
+      throw new Error(`Invalid job table name: ${this.table}`);
+    }
+
+    this.pool = new Pool({
+      connectionString,
+      max: 5,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 5000
+    });
+  }
+
+  async init() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        id uuid PRIMARY KEY,
+        status text NOT NULL,
+        simulated boolean NOT NULL DEFAULT false,
+        table_name text,
+        start_time timestamptz NOT NULL,
+        end_time timestamptz,
+        updated_at timestamptz NOT NULL DEFAULT now(),
+        job jsonb NOT NULL
+      )
+    `);
+    await this.pool.query(
+      `CREATE INDEX IF NOT EXISTS ${this.table}_start_time_idx ON ${this.table} (start_time DESC)`
+    );
+  }
+
+  async save(job) {
+    await this.pool.query(
+      `INSERT INTO ${this.table} (id, status, simulated, table_name, start_time, end_time, updated_at, job)
+       VALUES ($1, $2, $3, $4, $5, $6, now(), $7)
+       ON CONFLICT (id) DO UPDATE SET
+         status = EXCLUDED.status,
+         end_time = EXCLUDED.end_time,
+         updated_at = now(),
+         job = EXCLUDED.job`,
+      [
+        job.id,
+        job.status,
+        Boolean(job.simulated),
+        job.tableName || null,
+        job.startTime,
+        job.endTime || null,
+        JSON.stringify(job)
+      ]
+    );
+  }
+
+  async get(jobId) {
+    const result = await this.pool.query(`SELECT job FROM ${this.table} WHERE id = $1`, [jobId]);
+    return result.rows[0]?.job || null;
+  }
+
+  // Summaries are built in SQL so listing doesn't ship every stored plan over the wire
+  async list({ limit = 50, offset = 0 } = {}) {
+    const result = await this.pool.query(
+      `SELECT id, status, simulated, table_name, start_time, end_time, updated_at,
+              job->>'executionMode' AS execution_mode,
+              jsonb_array_length(COALESCE(job->'queries', '[]'::jsonb)) AS queries,
+              job->'results'->'comparison'->>'winner' AS winner,
+              job->>'error' AS error,
+              job->>'reapedAt' AS reaped_at
+       FROM ${this.table}
+       ORDER BY start_time DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      status: row.status,
+      simulated: row.simulated,
+      executionMode: row.execution_mode,
+      tableName: row.table_name,
+      queries: row.queries,
+      winner: row.winner,
+      error: row.error,
+      startTime: row.start_time.toISOString(),
+      endTime: row.end_time ? row.end_time.toISOString() : null,
+      updatedAt: row.updated_at.toISOString(),
+      reapedAt: row.reaped_at
+    }));
+  }
+
+  async deleteOlderThan(date) {
+    const result = await this.pool.query(`DELETE FROM ${this.table} WHERE start_time < $1`, [date]);
+    return result.rowCount;
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
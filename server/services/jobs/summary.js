@@ -0,0 +1,17 @@
+// The fields shown in job listings; full documents can carry every query plan
+export function summarizeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    simulated: Boolean(job.simulated),
+    executionMode: job.executionMode || null,
+    tableName: job.tableName || null,
+    queries: job.queries?.length || 0,
+    winner: job.results?.comparison?.winner || null,
+    error: job.error || null,
+    startTime: job.startTime,
+    endTime: job.endTime || null,
+    updatedAt: job.updatedAt || null,
+    reapedAt: job.reapedAt || null
+  };
+}
@@ -0,0 +1,213 @@
+import { quoteIdentifier } from './sql-analyzer.js';
+
+// Fork names are <jobId>-<strategyId> (see AgentOrchestrator.testStrategyOnFork)
+const FORK_NAME = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})-([a-z0-9-]+)$/i;
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const JOB_SCAN_LIMIT = 200;
+
+/**
+ * Finds and removes what crashed or misconfigured runs leave behind:
+ *   - forks following the optimizer's naming whose job isn't running anywhere
+ *   - indexes on the base database that a job recorded creating (name, schema and OID), that weren't
+ *     in its pre-run snapshot, that were still there when it ended (or when it stopped updating), and
+ *     that are still that same index - one a DBA created later under the same name has another OID
+ *
+ * Every run builds a dry-run report first and logs it; deletion only follows when dryRun is turned
+ * off, which an operator has to opt into after reading the reports.
+ * A job is "running anywhere" if this process runs it, or its stored document was updated
+ * within staleAfterMs - that covers jobs owned by other server processes.
+ */
+export class OrphanReaper {
+  constructor({ tigerService, orchestrator, jobRepository, intervalMs, staleAfterMs, dryRun = true }) {
+    this.tigerService = tigerService;
+    this.orchestrator = orchestrator;
+    this.jobRepository = jobRepository;
+    this.intervalMs = intervalMs;
+    this.staleAfterMs = staleAfterMs;
+    this.dryRun = dryRun;
+    this.timer = null;
+    this.running = null;
+  }
+
+  // Run now, then every intervalMs (0 disables the schedule)
+  start() {
+    this.runSafely();
+    if (this.intervalMs > 0) {
+      this.timer = setInterval(() => this.runSafely(), this.intervalMs);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runSafely() {
+    try {
+      await this.run();
+    } catch (error) {
+      console.error('Reaper run failed:', error.message);
+    }
+  }
+
+  // Overlapping calls share one run
+  async run({ dryRun = this.dryRun } = {}) {
+    if (!this.running) {
+      this.running = this.reap(dryRun).finally(() => { this.running = null; });
+    }
+    return this.running;
+  }
+
+  async reap(dryRun) {
+    const report = await this.findOrphans();
+    this.logReport('dry run', report.forks.map(fork => fork.name), report.indexes.map(index => index.qualifiedName), report.errors);
+
+    if (dryRun) {
+      return { ...report, dryRun: true };
+    }
+
+    const deleted = { forks: [], indexes: [] };
+    const errors = [];
+
+    for (const fork of report.forks) {
+      const result = await this.tigerService.deleteFork(fork.name);
+      if (result.deleted === false) {
+        errors.push(`Fork ${fork.name}: ${result.error}`);
+      } else {
+        deleted.forks.push(fork.name);
+      }
+    }
+
+    const failedJobs = new Set();
+    for (const index of report.indexes) {
+      try {
+        // CONCURRENTLY: don't block writes on a production table while cleaning up
+        await this.tigerService.runQuery(this.tigerService.baseConnectionString, `DROP INDEX CONCURRENTLY IF EXISTS ${index.qualifiedName}`, { pooled: false });
+        deleted.indexes.push(index.qualifiedName);
+      } catch (error) {
+        failedJobs.add(index.jobId);
+        errors.push(`Index ${index.qualifiedName}: ${error.message}`);
+      }
+    }
+
+    // Checked jobs are marked so later runs skip them; jobs with failed drops are retried
+    for (const job of report.checkedJobs) {
+      if (!failedJobs.has(job.id)) {
+        job.reapedAt = new Date().toISOString();
+        await this.jobRepository.save(job);
+      }
+    }
+
+    this.logReport('deleted', deleted.forks, deleted.indexes, errors);
+    return { ...report, errors: [...report.errors, ...errors], dryRun: false, deleted };
+  }
+
+  async findOrphans() {
+    const report = { forks: [], indexes: [], checkedJobs: [], errors: [] };
+    const jobs = new Map(); // jobId -> stored job (null if unknown)
+
+    const loadJob = async (jobId) => {
+      if (!jobs.has(jobId)) {
+        jobs.set(jobId, await this.jobRepository.get(jobId));
+      }
+      return jobs.get(jobId);
+    };
+
+    try {
+      for (const fork of await this.tigerService.listForks()) {
+        const match = fork.name?.match(FORK_NAME);
+        if (!match || this.orchestrator.activeJobs.has(match[1])) continue;
+
+        const job = await loadJob(match[1]);
+        const reason = this.inactiveReason(job);
+        if (reason) {
+          report.forks.push({ name: fork.name, jobId: match[1], strategy: match[2], reason });
+        }
+      }
+    } catch (error) {
+      report.errors.push(`Listing forks: ${error.message}`);
+    }
+
+    if (!this.tigerService.baseConnectionString) {
+      return report;
+    }
+
+    try {
+      const summaries = await this.jobRepository.list({ limit: JOB_SCAN_LIMIT });
+
+      for (const summary of summaries) {
+        if (summary.reapedAt || summary.simulated || this.orchestrator.activeJobs.has(summary.id)) continue;
+
+        const job = await loadJob(summary.id);
+        if (!job || !this.inactiveReason(job)) continue;
+
+        report.indexes.push(...await this.findLeakedIndexes(job));
+        report.checkedJobs.push(job);
+      }
+    } catch (error) {
+      report.errors.push(`Checking indexes: ${error.message}`);
+    }
+
+    return report;
+  }
+
+  // Indexes this job created on the base database and never removed
+  async findLeakedIndexes(job) {
+    const leaked = new Map(); // qualified name -> entry
+    const finished = FINISHED_STATUSES.includes(job.status);
+
+    for (const created of job.createdIndexes || []) {
+      // Without the created index's identity nothing can be attributed to the job
+      if (!created.schema || !created.oid) continue;
+
+      const snapshot = job.indexSnapshot?.[created.table];
+      // Nor without a pre-run snapshot, or when the name was taken before the run
+      if (!snapshot?.before || snapshot.before.includes(created.name)) continue;
+      // A finished job must have left the index behind at its end; a crashed one never got that far
+      if (finished && !snapshot.after?.includes(created.name)) continue;
+
+      const qualifiedName = `${quoteIdentifier(created.schema)}.${quoteIdentifier(created.name)}`;
+      const current = await this.tigerService.getIndexIdentity(this.tigerService.baseConnectionString, qualifiedName, { pooled: false });
+      if (current?.oid === created.oid) {
+        leaked.set(qualifiedName, {
+          name: created.name,
+          schema: created.schema,
+          qualifiedName,
+          table: created.table,
+          jobId: job.id,
+          reason: `created by job ${job.id} (${job.status})`
+        });
+      }
+    }
+
+    return [...leaked.values()];
+  }
+
+  // Why a job's leftovers are fair game, or null while it may still be running somewhere
+  inactiveReason(job) {
+    if (!job) {
+      return 'no job record';
+    }
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return `job ${job.status}`;
+    }
+
+    const lastUpdate = new Date(job.updatedAt || job.startTime).getTime();
+    if (Date.now() - lastUpdate > this.staleAfterMs) {
+      return `job ${job.status} with no progress since ${new Date(lastUpdate).toISOString()}`;
+    }
+    return null;
+  }
+
+  logReport(label, forks, indexes, errors) {
+    if (forks.length === 0 && indexes.length === 0 && errors.length === 0) {
+      return;
+    }
+
+    console.log(`Reaper (${label}): ${forks.length} orphaned forks, ${indexes.length} orphaned indexes`);
+    forks.forEach(name => console.log(`  fork  ${name}`));
+    indexes.forEach(name => console.log(`  index ${name}`));
+    errors.forEach(error => console.warn(`  error ${error}`));
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Canned optimization results for `simulate: true` requests.
+ * Nothing here touches a database - timings are random and the strategies are fixed,
+ * so these payloads must never be presented as real measurements.
+ * Ranking and recommendation go through the orchestrator so the payload shape matches real runs.
+ */
+const SIMULATED_STRATEGIES = [
+  {
+    id: 'baseline',
+    name: 'Baseline (Existing Indexes)',
+    description: 'No new indexes - measures the workload as it runs today',
+    indexes: [],
+    estimatedSize: 0,
+    complexity: 'none',
+    timing: { execution: [70, 20], planning: [2, 2] }
+  },
+  {
+    id: 'single-column',
+    name: 'Basic Single-Column Strategy',
+    description: 'Simple single-column B-tree indexes',
+    indexes: [
+      {
+        name: 'idx_users_email',
+        sql: 'CREATE INDEX idx_users_email ON users (email);',
+        type: 'btree',
+        columns: ['email'],
+        table: 'users',
+        rationale: 'Single-column index for WHERE clause filtering on email'
+      },
+      {
+        name: 'idx_orders_status',
+        sql: 'CREATE INDEX idx_orders_status ON orders (status);',
+        type: 'btree',
+        columns: ['status'],
+        table: 'orders',
+        rationale: 'Single-column index for WHERE clause filtering on status'
+      },
+      {
+        name: 'idx_orders_created_at',
+        sql: 'CREATE INDEX idx_orders_created_at ON orders (created_at);',
+        type: 'btree',
+        columns: ['created_at'],
+        table: 'orders',
+        rationale: 'Single-column index for ORDER BY sorting'
+      }
+    ],
+    estimatedSize: 85,
+    complexity: 'low',
+    timing: { execution: [45, 20], planning: [2, 3] }
+  },
+  {
+    id: 'composite',
+    name: 'Advanced Composite Strategy',
+    description: 'Optimized composite and partial indexes',
+    indexes: [
+      {
+        name: 'idx_orders_status_created_at',
+        sql: 'CREATE INDEX idx_orders_status_created_at ON orders (status, created_at DESC);',
+        type: 'btree',
+        columns: ['status', 'created_at'],
+        table: 'orders',
+        rationale: 'Composite index covering WHERE and ORDER BY'
+      },
+      {
+        name: 'idx_products_category_price',
+        sql: 'CREATE INDEX idx_products_category_price ON products (category, price) WHERE stock_quantity > 0;',
+        type: 'btree_partial',
+        columns: ['category', 'price'],
+        table: 'products',
+        rationale: 'Partial composite index for multi-column filters'
+      },
+      {
+        name: 'idx_orders_user_created',
+        sql: 'CREATE INDEX idx_orders_user_created ON orders (user_id, created_at);',
+        type: 'btree',
+        columns: ['user_id', 'created_at'],
+        table: 'orders',
+        rationale: 'Composite index for JOIN + ORDER BY queries'
+      }
+    ],
+    estimatedSize: 142,
+    complexity: 'high',
+    timing: { execution: [25, 15], planning: [1.5, 2] }
+  }
+];
+
+// Illustrative only: no pattern search runs behind these, so they are attached to simulated results alone
+const SIMULATED_HYBRID_SEARCH_INSIGHTS = {
+  similarPatterns: [
+    { pattern: 'WHERE + ORDER BY optimization', confidence: 0.92, source: 'pg_textsearch' },
+    { pattern: 'Composite index benefits', confidence: 0.87, source: 'pgvector' },
+    { pattern: 'Partial index selectivity', confidence: 0.79, source: 'hybrid_fusion' }
+  ],
+  recommendations: [
+    'Consider adding covering indexes for frequent SELECT columns',
+    'Partial indexes show 23% better selectivity for filtered queries',
+    'Composite indexes reduce random I/O by 45% for multi-column filters'
+  ]
+};
+
+export function generateSimulatedResults(queries, orchestrator) {
+  const strategies = SIMULATED_STRATEGIES.map(({ timing, ...strategy }) => strategy);
+  const performance = {};
+  const forks = {};
+
+  for (const { id, timing } of SIMULATED_STRATEGIES) {
+    const avgTime = timing.execution[0] + Math.random() * timing.execution[1];
+    forks[id] = `demo-${id}-fork`;
+    performance[id] = queries.map(q => ({
+      query: q,
+      executionTime: avgTime + Math.random() * 10,
+      planningTime: timing.planning[0] + Math.random() * timing.planning[1]
+    }));
+  }
+
+  const comparison = orchestrator.compareResults(strategies, performance, 'baseline');
+
+  return {
+    strategies,
+    executionMode: 'simulated',
+    forks,
+    performance,
+    failures: {},
+    comparison,
+    recommendation: {
+      ...orchestrator.generateRecommendation(comparison),
+      hybridSearchInsights: SIMULATED_HYBRID_SEARCH_INSIGHTS
+    }
+  };
+}
@@ -0,0 +1,710 @@
+import { parse } from 'libpg-query';
+
+/**
+ * Column usage of a SQL workload, read from PostgreSQL's own parse tree (libpg-query).
+ *
+ * Every column reference is resolved to the table it belongs to through the FROM clause
+ * (aliases, joins, CTEs, subqueries and correlated references included) and recorded by role:
+ *   predicates  - { table, column, kind, operator, conjunct, value?, function?, expression? } from WHERE and
+ *                 JOIN ... ON; kind is 'equality' (=, IN, IS NULL), 'range' (<, >, BETWEEN), 'pattern' (LIKE, ~),
+ *                 'containment' (@>, <@, &&, ?), 'search' (@@) or 'other'. conjunct: the predicate holds for every row the block returns (not under OR/NOT).
+ *                 value: the SQL literal compared against ('completed', true), if it is one.
+ *                 operand: 'array' or 'jsonb' when a containment predicate's other side shows its type
+ *                 (ARRAY[...], '{a}'::text[], '{}'::jsonb)
+ *   joins       - { left: { table, column }, right: { table, column } } equi-join keys
+ *   sorts       - one list of { table, column, direction, nulls, function?, expression? } per ORDER BY
+ *   groupings   - one list of { table, column } per GROUP BY
+ *   projections - { table, column } read by SELECT lists ('*' for SELECT *)
+ *   aggregations - { function, table, column } (column '*' for count(*))
+ *   blocks      - { queryIndex } per query block (each SELECT, UPDATE or DELETE, subqueries included);
+ *                 every reference above carries the `block` it was read in
+ * `expression` is set when the column is wrapped in a function, cast or jsonb operator (lower(email),
+ * created_at::date, payload ->> 'type'): the SQL of that expression with table qualifiers dropped,
+ * ready to be an index key. Expressions that can't be rendered back to SQL have none.
+ * Unqualified columns with several tables in scope are resolved through `lookupColumns(tables)`, which
+ * returns { table: [column, ...] } from the catalog; without it (or if no table owns the column) the
+ * table stays null. Qualified columns the catalog says don't exist are dropped to null as well.
+ * CTEs and subqueries in FROM are analyzed on their own; columns read through them aren't attributed.
+ *
+ * `tables` summarizes the same data per table and column, `referencedTables` lists every base table
+ * the workload reads. Everything is plain JSON.
+ */
+
+const EQUALITY_OPERATORS = ['='];
+const RANGE_OPERATORS = ['<', '>', '<=', '>='];
+const PATTERN_OPERATORS = ['~~', '~~*', '!~~', '!~~*', '~', '~*', '!~', '!~*'];
+const CONTAINMENT_OPERATORS = ['@>', '<@', '&&', '?', '?|', '?&', '@?'];
+const SEARCH_OPERATORS = ['@@'];
+const AGGREGATES = [
+  'count', 'sum', 'avg', 'min', 'max', 'array_agg', 'string_agg', 'json_agg', 'jsonb_agg',
+  'bool_and', 'bool_or', 'every', 'stddev', 'variance'
+];
+const JSON_OPERATORS = ['->', '->>', '#>', '#>>'];
+const SORT_DIRECTIONS = { SORTBY_DESC: 'desc', SORTBY_ASC: 'asc', SORTBY_DEFAULT: 'asc' };
+const SORT_NULLS = { SORTBY_NULLS_FIRST: 'first', SORTBY_NULLS_LAST: 'last' };
+
+export async function analyzeSql(queries, { lookupColumns } = {}) {
+  const usage = {
+    referencedTables: [],
+    ownership: 'parser',
+    predicates: [],
+    joins: [],
+    sorts: [],
+    groupings: [],
+    projections: [],
+    aggregations: [],
+    blocks: [],
+    tables: {},
+    errors: []
+  };
+
+  for (const [queryIndex, query] of queries.entries()) {
+    let tree;
+    try {
+      tree = await parse(query);
+    } catch (error) {
+      usage.errors.push({ queryIndex, query, message: error.message });
+      continue;
+    }
+
+    const analyzer = new StatementAnalyzer(usage, queryIndex);
+    for (const { stmt } of tree.stmts) {
+      analyzer.statement(stmt, null);
+    }
+  }
+
+  const catalog = lookupColumns && usage.referencedTables.length > 0
+    ? await lookupColumns(usage.referencedTables)
+    : null;
+  forEachRef(usage, ref => resolveOwner(ref, catalog));
+  if (catalog) {
+    usage.ownership = 'catalog';
+  }
+
+  summarizeTables(usage);
+  return usage;
+}
+
+const WRITE_STATEMENTS = ['InsertStmt', 'UpdateStmt', 'DeleteStmt', 'MergeStmt'];
+// Built-in functions whose effects a rolled-back sandbox can't undo, or that reach other servers or the
+// server's files: sequences, settings, other backends, locks, large objects, WAL, replication and dblink
+const UNSAFE_FUNCTIONS = [
+  /^(nextval|setval|set_config|pg_notify|pg_sleep\w*|txid_current\w*|pg_current_xact_id\w*|pg_terminate_backend|pg_cancel_backend)$/,
+  /^(pg_reload_conf|pg_rotate_logfile|pg_switch_wal|pg_promote|pg_start_backup|pg_stop_backup|pg_create_restore_point)$/,
+  /^(dblink|lo_|pg_advisory|pg_try_advisory|pg_stat_reset|pg_create_|pg_drop_|pg_replication_|pg_logical_|pg_wal_|pg_backup_|pg_file_|pg_read_|pg_ls_|pg_import_|pg_copy_)/
+];
+
+/**
+ * Why `query` is not exactly one read-only SELECT (WITH ... SELECT included), or null when it is.
+ * Workload queries run on the base database - in sandbox mode inside a transaction that a second
+ * statement (COMMIT; UPDATE ...) could end - so anything else is refused: several statements,
+ * other statement types, data-modifying CTEs, SELECT INTO, row-locking clauses and calls to the
+ * built-in functions in UNSAFE_FUNCTIONS. User-defined functions can't be judged from the query text
+ * and still get through (see the README).
+ */
+export async function checkSelectQuery(query) {
+  let tree;
+  try {
+    tree = await parse(query);
+  } catch (error) {
+    return `Query does not parse: ${error.message}`;
+  }
+  if (tree.stmts.length !== 1) {
+    return `Expected exactly one statement, got ${tree.stmts.length}`;
+  }
+
+  const [{ stmt }] = tree.stmts;
+  if (!stmt.SelectStmt) {
+    return `Only SELECT queries can be tested, not ${Object.keys(stmt)[0].replace(/Stmt$/, '').toUpperCase()}`;
+  }
+
+  const problems = [];
+  const visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+    for (const [key, value] of Object.entries(node)) {
+      if (WRITE_STATEMENTS.includes(key)) problems.push('data-modifying WITH clauses are not allowed');
+      if (key === 'intoClause') problems.push('SELECT INTO is not allowed');
+      if (key === 'lockingClause') problems.push('FOR UPDATE/SHARE is not allowed');
+      if (key === 'FuncCall') {
+        const name = value.funcname.at(-1).String.sval.toLowerCase();
+        if (UNSAFE_FUNCTIONS.some(pattern => pattern.test(name))) {
+          problems.push(`${name}() is not allowed: it can change server state or reach outside the query`);
+        }
+      }
+      visit(value);
+    }
+  };
+  visit(stmt);
+  return problems[0] || null;
+}
+
+function forEachRef(usage, fn) {
+  [
+    ...usage.predicates,
+    ...usage.joins.flatMap(({ left, right }) => [left, right]),
+    ...usage.sorts.flat(),
+    ...usage.groupings.flat(),
+    ...usage.projections,
+    ...usage.aggregations
+  ].forEach(fn);
+}
+
+// candidates: the base tables of each enclosing query, innermost first. The first query with exactly
+// one table owning the column wins - so correlated references fall through to the outer query
+function resolveOwner(ref, catalog) {
+  const { candidates } = ref;
+  delete ref.candidates;
+  if (!catalog || ref.column === '*') return;
+
+  if (candidates) {
+    for (const tables of candidates) {
+      const owners = tables.filter(table => catalog[table]?.includes(ref.column));
+      if (owners.length > 0) {
+        ref.table = owners.length === 1 ? owners[0] : null;
+        return;
+      }
+    }
+  }
+
+  // Unknown tables (views, other schemas) are left as the parser saw them
+  if (ref.table && catalog[ref.table] && !catalog[ref.table].includes(ref.column)) {
+    ref.table = null;
+  }
+}
+
+// Per-table, per-column counts of each kind of use
+function summarizeTables(usage) {
+  const columnFor = ({ table, column }) => {
+    if (!table || column === '*') return null;
+    const columns = (usage.tables[table] ||= { columns: {} }).columns;
+    return columns[column] ||= {
+      equality: 0, range: 0, pattern: 0, containment: 0, search: 0, other: 0,
+      join: 0, sortAsc: 0, sortDesc: 0, groupBy: 0, projection: 0
+    };
+  };
+  const count = (ref, key) => {
+    const entry = columnFor(ref);
+    if (entry) entry[key]++;
+  };
+
+  usage.predicates.forEach(predicate => count(predicate, predicate.kind));
+  usage.joins.forEach(({ left, right }) => {
+    count(left, 'join');
+    count(right, 'join');
+  });
+  usage.sorts.flat().forEach(key => count(key, key.direction === 'desc' ? 'sortDesc' : 'sortAsc'));
+  usage.groupings.flat().forEach(key => count(key, 'groupBy'));
+  usage.projections.forEach(ref => count(ref, 'projection'));
+}
+
+// Walks one statement tree; scopes chain outwards so correlated subqueries resolve outer aliases
+class StatementAnalyzer {
+  constructor(usage, queryIndex) {
+    this.usage = usage;
+    this.queryIndex = queryIndex;
+  }
+
+  statement(node, parent) {
+    if (!node) return;
+    const [type, body] = Object.entries(node)[0];
+
+    switch (type) {
+      case 'SelectStmt':
+        return this.select(body, parent);
+      case 'ExplainStmt':
+        return this.statement(body.query, parent);
+      case 'UpdateStmt':
+      case 'DeleteStmt': {
+        const scope = this.scope(parent, body.withClause);
+        this.addRelation(scope, body.relation);
+        (body.fromClause || body.usingClause || []).forEach(item => this.fromItem(scope, item));
+        this.predicate(scope, body.whereClause);
+        return;
+      }
+      default:
+        // DDL, utility statements and the like carry no workload information
+    }
+  }
+
+  select(select, parent) {
+    // UNION / INTERSECT / EXCEPT: each side is its own query
+    if (select.op && select.op !== 'SETOP_NONE') {
+      const scope = this.scope(parent, select.withClause);
+      this.select(select.larg, scope);
+      this.select(select.rarg, scope);
+      return;
+    }
+
+    const scope = this.scope(parent, select.withClause);
+    (select.fromClause || []).forEach(item => this.fromItem(scope, item));
+
+    const targets = (select.targetList || []).map(({ ResTarget }) => ResTarget);
+    targets.forEach(target => this.projection(scope, target.val));
+
+    this.predicate(scope, select.whereClause);
+    this.predicate(scope, select.havingClause);
+
+    const groupBy = (select.groupClause || [])
+      .map(item => this.outputColumn(scope, item, targets))
+      .filter(Boolean);
+    if (groupBy.length > 0) {
+      this.usage.groupings.push(groupBy);
+    }
+
+    const sortKeys = (select.sortClause || [])
+      .map(({ SortBy }) => {
+        const ref = this.outputColumn(scope, SortBy.node, targets);
+        return ref && {
+          ...ref,
+          direction: SORT_DIRECTIONS[SortBy.sortby_dir] || 'asc',
+          nulls: SORT_NULLS[SortBy.sortby_nulls] || null
+        };
+      })
+      .filter(Boolean);
+    if (sortKeys.length > 0) {
+      this.usage.sorts.push(sortKeys);
+    }
+  }
+
+  // relations: alias (or table name) -> base table name, or null for CTEs and subqueries
+  scope(parent, withClause) {
+    const scope = {
+      parent,
+      relations: new Map(),
+      ctes: new Set(),
+      block: this.usage.blocks.push({ queryIndex: this.queryIndex }) - 1
+    };
+
+    for (const { CommonTableExpr: cte } of withClause?.ctes || []) {
+      this.statement(cte.ctequery, scope);
+      scope.ctes.add(cte.ctename);
+    }
+    return scope;
+  }
+
+  isCte(scope, name) {
+    for (let s = scope; s; s = s.parent) {
+      if (s.ctes.has(name)) return true;
+    }
+    return false;
+  }
+
+  addRelation(scope, rangeVar) {
+    const derived = !rangeVar.schemaname && this.isCte(scope, rangeVar.relname);
+    const name = rangeVar.alias?.aliasname || rangeVar.relname;
+    scope.relations.set(name, derived ? null : rangeVar.relname);
+    if (!derived && !this.usage.referencedTables.includes(rangeVar.relname)) {
+      this.usage.referencedTables.push(rangeVar.relname);
+    }
+    return derived ? [] : [rangeVar.relname];
+  }
+
+  // Returns the base tables the item brings into scope
+  fromItem(scope, item) {
+    const [type, body] = Object.entries(item)[0];
+
+    switch (type) {
+      case 'RangeVar':
+        return this.addRelation(scope, body);
+      case 'RangeSubselect':
+        // Sibling aliases are invisible to a non-LATERAL subquery anyway, so one scope chain serves both
+        this.statement(body.subquery, scope);
+        if (body.alias) scope.relations.set(body.alias.aliasname, null);
+        return [];
+      case 'JoinExpr': {
+        const left = this.fromItem(scope, body.larg);
+        const right = this.fromItem(scope, body.rarg);
+
+        // USING (col): the same column on both sides; only attributable with one table per side
+        for (const { String: { sval: column } } of body.usingClause || []) {
+          this.usage.joins.push({
+            left: { table: left.length === 1 ? left[0] : null, column, block: scope.block },
+            right: { table: right.length === 1 ? right[0] : null, column, block: scope.block }
+          });
+        }
+        this.predicate(scope, body.quals);
+        if (body.alias) scope.relations.set(body.alias.aliasname, null);
+        return [...left, ...right];
+      }
+      default:
+        // Function scans (generate_series, unnest, ...) have no indexable columns
+        return [];
+    }
+  }
+
+  // A ColumnRef resolved against the scope chain: { table, column, block } (the query block it was
+  // read in), or null when it names a CTE or subquery column (nothing to index)
+  resolve(scope, columnRef) {
+    const ref = this.lookup(scope, columnRef);
+    return ref && { ...ref, block: scope.block };
+  }
+
+  lookup(scope, columnRef) {
+    const fields = columnRef.fields.map(field => field.String?.sval ?? '*');
+    const column = fields[fields.length - 1];
+
+    if (fields.length === 1) {
+      // Unqualified: the innermost query with relations owns it unless the catalog says otherwise
+      const scopes = [];
+      for (let s = scope; s; s = s.parent) {
+        if (s.relations.size > 0) scopes.push([...s.relations.values()]);
+      }
+      const candidates = scopes.map(tables => tables.filter(Boolean));
+
+      if (scopes[0]?.length === 1) {
+        return scopes[0][0] ? { table: scopes[0][0], column, candidates } : null;
+      }
+      return { table: null, column, candidates };
+    }
+
+    const qualifier = fields[fields.length - 2];
+    for (let s = scope; s; s = s.parent) {
+      if (s.relations.has(qualifier)) {
+        const table = s.relations.get(qualifier);
+        return table ? { table, column } : null;
+      }
+    }
+    // schema.table.column without an alias in scope
+    return { table: qualifier, column };
+  }
+
+  // A single column, possibly wrapped in functions (lower(email)), casts (created_at::date) or
+  // jsonb / array access (payload ->> 'type'); wrapped columns carry the wrapping `expression`
+  columnOf(scope, node) {
+    const ref = this.wrappedColumn(scope, node);
+    if (!ref || node.ColumnRef) return ref;
+
+    const { expression, ...column } = ref;
+    const sql = renderExpression(node);
+    return sql ? { ...column, expression: sql } : column;
+  }
+
+  wrappedColumn(scope, node) {
+    if (!node) return null;
+    if (node.ColumnRef) {
+      return this.resolve(scope, node.ColumnRef);
+    }
+    if (node.TypeCast) {
+      return this.columnOf(scope, node.TypeCast.arg);
+    }
+    if (node.FuncCall) {
+      const columns = (node.FuncCall.args || []).filter(arg => this.columnRefs(arg).length > 0);
+      if (columns.length === 1) {
+        const ref = this.columnOf(scope, columns[0]);
+        return ref && { ...ref, function: ref.function || node.FuncCall.funcname.at(-1).String.sval };
+      }
+    }
+    if (node.A_Indirection || JSON_OPERATORS.includes(node.A_Expr?.name?.[0]?.String?.sval)) {
+      // jsonb / array access: attribute to the underlying column
+      const refs = this.columnRefs(node);
+      return refs.length === 1 ? this.resolve(scope, refs[0]) : null;
+    }
+    return null;
+  }
+
+  // Column references directly inside an expression; subqueries are analyzed on their own
+  columnRefs(node, refs = []) {
+    if (!node || typeof node !== 'object') return refs;
+    if (Array.isArray(node)) {
+      node.forEach(child => this.columnRefs(child, refs));
+      return refs;
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'ColumnRef') {
+        refs.push(value);
+      } else if (key !== 'SubLink') {
+        this.columnRefs(value, refs);
+      }
+    }
+    return refs;
+  }
+
+  // Analyze subqueries nested anywhere in an expression against the current scope
+  subqueries(scope, node) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(child => this.subqueries(scope, child));
+      return;
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'SubLink') {
+        this.subLink(scope, value);
+      } else {
+        this.subqueries(scope, value);
+      }
+    }
+  }
+
+  // x IN (SELECT y FROM t) joins x to t.y; EXISTS and scalar subqueries are just nested queries
+  subLink(scope, subLink) {
+    this.statement(subLink.subselect, scope);
+
+    const test = subLink.testexpr && this.columnOf(scope, subLink.testexpr);
+    const select = subLink.subselect.SelectStmt;
+    const target = select?.targetList?.length === 1 ? select.targetList[0].ResTarget.val : null;
+    if (!test || !target || !['ANY_SUBLINK', 'ALL_SUBLINK'].includes(subLink.subLinkType)) return;
+
+    const inner = { parent: scope, relations: new Map(), ctes: new Set() };
+    (select.fromClause || []).forEach(item => this.collectRelations(inner, item));
+    const ref = this.columnOf(inner, target);
+    if (ref?.table && subLink.subLinkType === 'ANY_SUBLINK') {
+      this.usage.joins.push({ left: strip(test), right: strip(ref) });
+    }
+  }
+
+  // Like fromItem, without recording anything
+  collectRelations(scope, item) {
+    if (item.RangeVar) {
+      const derived = !item.RangeVar.schemaname && this.isCte(scope, item.RangeVar.relname);
+      scope.relations.set(item.RangeVar.alias?.aliasname || item.RangeVar.relname, derived ? null : item.RangeVar.relname);
+    } else if (item.JoinExpr) {
+      this.collectRelations(scope, item.JoinExpr.larg);
+      this.collectRelations(scope, item.JoinExpr.rarg);
+    } else if (item.RangeSubselect?.alias) {
+      scope.relations.set(item.RangeSubselect.alias.aliasname, null);
+    }
+  }
+
+  // conjunct: node is ANDed into the block's filter, so it holds for every row the block returns
+  predicate(scope, node, conjunct = true) {
+    if (!node) return;
+    const [type, body] = Object.entries(node)[0];
+
+    switch (type) {
+      case 'BoolExpr':
+        // WHERE NOT is_active
+        if (body.boolop === 'NOT_EXPR' && body.args[0].ColumnRef) {
+          const ref = this.resolve(scope, body.args[0].ColumnRef);
+          if (ref) this.addPredicate(ref, 'equality', '=', conjunct, 'false');
+          return;
+        }
+        body.args.forEach(arg => this.predicate(scope, arg, conjunct && body.boolop === 'AND_EXPR'));
+        return;
+      case 'A_Expr':
+        return this.comparison(scope, body, conjunct);
+      case 'NullTest': {
+        const ref = this.columnOf(scope, body.arg);
+        if (ref) this.addPredicate(ref, 'equality', body.nulltesttype === 'IS_NULL' ? 'IS NULL' : 'IS NOT NULL', conjunct);
+        return;
+      }
+      case 'SubLink':
+        return this.subLink(scope, body);
+      case 'ColumnRef': {
+        // WHERE is_active
+        const ref = this.resolve(scope, body);
+        if (ref) this.addPredicate(ref, 'equality', '=', conjunct, 'true');
+        return;
+      }
+      default:
+        // Anything else (boolean columns, function calls) filters on whatever it reads
+        this.subqueries(scope, node);
+        this.columnRefs(node).forEach(columnRef => {
+          const ref = this.resolve(scope, columnRef);
+          if (ref) this.addPredicate(ref, 'other', null, conjunct);
+        });
+    }
+  }
+
+  comparison(scope, expr, conjunct) {
+    const operator = expr.name?.map(name => name.String.sval).join('.') || '';
+    this.subqueries(scope, [expr.lexpr, expr.rexpr]);
+
+    const left = this.columnOf(scope, expr.lexpr);
+    const right = expr.kind === 'AEXPR_OP' ? this.columnOf(scope, expr.rexpr) : null;
+    const leftRefs = this.columnRefs(expr.lexpr);
+    const rightRefs = this.columnRefs(expr.rexpr);
+
+    // Column = column across two tables: a join key, not a filter
+    if (expr.kind === 'AEXPR_OP' && operator === '=' && left && right && !left.function && !right.function
+      && (left.table !== right.table || left.table === null)) {
+      this.usage.joins.push({ left: strip(left), right: strip(right) });
+      return;
+    }
+
+    const kind = this.predicateKind(expr.kind, operator);
+
+    // column <op> value, or value <op> column (5 < price)
+    const single = ['AEXPR_OP', 'AEXPR_LIKE', 'AEXPR_ILIKE'].includes(expr.kind);
+    if (left && rightRefs.length === 0) {
+      this.addPredicate(left, kind, operator, conjunct, single ? literalOf(expr.rexpr) : null, kind === 'containment' ? operandType(expr.rexpr) : null);
+    } else if (right && leftRefs.length === 0) {
+      this.addPredicate(right, kind, flip(operator), conjunct, single ? literalOf(expr.lexpr) : null, kind === 'containment' ? operandType(expr.lexpr) : null);
+    } else {
+      [...leftRefs, ...rightRefs].forEach(columnRef => {
+        const ref = this.resolve(scope, columnRef);
+        if (ref) this.addPredicate(ref, 'other', operator, conjunct);
+      });
+    }
+  }
+
+  predicateKind(exprKind, operator) {
+    switch (exprKind) {
+      case 'AEXPR_IN':
+        return operator === '=' ? 'equality' : 'other';
+      case 'AEXPR_BETWEEN':
+      case 'AEXPR_BETWEEN_SYM':
+        return 'range';
+      case 'AEXPR_LIKE':
+      case 'AEXPR_ILIKE':
+      case 'AEXPR_SIMILAR':
+        return 'pattern';
+      case 'AEXPR_OP_ANY':
+        return operator === '=' ? 'equality' : 'other';
+      default:
+        if (EQUALITY_OPERATORS.includes(operator)) return 'equality';
+        if (RANGE_OPERATORS.includes(operator)) return 'range';
+        if (PATTERN_OPERATORS.includes(operator)) return 'pattern';
+        if (CONTAINMENT_OPERATORS.includes(operator)) return 'containment';
+        if (SEARCH_OPERATORS.includes(operator)) return 'search';
+        return 'other';
+    }
+  }
+
+  addPredicate(ref, kind, operator, conjunct, value, operand) {
+    this.usage.predicates.push({ ...ref, kind, operator, conjunct, ...(value ? { value } : {}), ...(operand ? { operand } : {}) });
+  }
+
+  projection(scope, node) {
+    this.subqueries(scope, node);
+
+    if (node.ColumnRef) {
+      const ref = this.resolve(scope, node.ColumnRef);
+      if (ref) this.usage.projections.push(ref);
+      return;
+    }
+
+    const aggregate = node.FuncCall && AGGREGATES.includes(node.FuncCall.funcname.at(-1).String.sval);
+    if (aggregate) {
+      const fn = node.FuncCall.funcname.at(-1).String.sval;
+      const refs = this.columnRefs(node.FuncCall.args || []);
+      if (node.FuncCall.agg_star) {
+        this.usage.aggregations.push({ function: fn, table: null, column: '*', block: scope.block });
+      }
+      refs.forEach(columnRef => {
+        const ref = this.resolve(scope, columnRef);
+        if (ref) this.usage.aggregations.push({ function: fn, ...ref });
+      });
+    }
+
+    this.columnRefs(node).forEach(columnRef => {
+      const ref = this.resolve(scope, columnRef);
+      if (ref) this.usage.projections.push(ref);
+    });
+  }
+
+  // ORDER BY / GROUP BY item: a column, an output position (ORDER BY 2) or an output alias
+  outputColumn(scope, node, targets) {
+    const position = node.A_Const?.ival?.ival;
+    if (position) {
+      const target = targets[position - 1];
+      return target ? this.columnOf(scope, target.val) : null;
+    }
+
+    const fields = node.ColumnRef?.fields;
+    if (fields?.length === 1) {
+      const aliased = targets.find(target => target.name && target.name === fields[0].String?.sval);
+      if (aliased) {
+        return this.columnOf(scope, aliased.val);
+      }
+    }
+
+    return this.columnOf(scope, node);
+  }
+}
+
+// Join keys are plain columns
+function strip({ table, column, candidates, block }) {
+  return candidates ? { table, column, block, candidates } : { table, column, block };
+}
+
+// SQL for an index key expression, columns unqualified; null for anything beyond functions over
+// columns and constants, casts and jsonb access
+function renderExpression(node) {
+  if (node.ColumnRef) {
+    const name = node.ColumnRef.fields.at(-1).String?.sval;
+    return name ? quoteIdentifier(name) : null;
+  }
+  if (node.A_Const) {
+    const { sval, ival, fval, boolval, isnull } = node.A_Const;
+    if (sval) return `'${sval.sval.replace(/'/g, "''")}'`;
+    if (ival) return String(ival.ival ?? 0);
+    if (fval) return fval.fval;
+    if (boolval) return String(Boolean(boolval.boolval));
+    return isnull ? 'NULL' : null;
+  }
+  if (node.TypeCast) {
+    const arg = renderExpression(node.TypeCast.arg);
+    const type = renderTypeName(node.TypeCast.typeName);
+    return arg && type && `(${arg})::${type}`;
+  }
+  if (node.FuncCall && !node.FuncCall.agg_star && !node.FuncCall.over) {
+    const args = (node.FuncCall.args || []).map(renderExpression);
+    if (args.includes(null)) return null;
+    const name = node.FuncCall.funcname.map(part => quoteIdentifier(part.String.sval)).join('.');
+    return `${name}(${args.join(', ')})`;
+  }
+  const operator = node.A_Expr?.name?.[0]?.String?.sval;
+  if (node.A_Expr?.kind === 'AEXPR_OP' && JSON_OPERATORS.includes(operator)) {
+    const left = renderExpression(node.A_Expr.lexpr);
+    const right = renderExpression(node.A_Expr.rexpr);
+    return left && right && `(${left} ${operator} ${right})`;
+  }
+  return null;
+}
+
+// A type with its modifiers and array bounds (varchar(10), numeric(10,2), int[]), which the index key
+// must keep to match the query's expression; null for interval field masks (interval day), whose
+// modifiers don't read back as written
+function renderTypeName({ names, typmods = [], arrayBounds = [] }) {
+  const name = names.map(part => quoteIdentifier(part.String.sval)).join('.');
+  if (typmods.length > 0 && name.endsWith('interval')) return null;
+  const modifiers = typmods.map(renderExpression);
+  if (modifiers.includes(null)) return null;
+  return name
+    + (modifiers.length > 0 ? `(${modifiers.join(', ')})` : '')
+    + arrayBounds.map(bound => bound.Integer?.ival >= 0 ? `[${bound.Integer.ival}]` : '[]').join('');
+}
+
+// 'array' or 'jsonb' when an operand's SQL shows which it is, null otherwise
+function operandType(node) {
+  if (node?.A_ArrayExpr) return 'array';
+  const typeName = node?.TypeCast?.typeName;
+  if (!typeName) return null;
+  if (typeName.arrayBounds?.length > 0) return 'array';
+  return ['json', 'jsonb'].includes(typeName.names.at(-1).String.sval) ? 'jsonb' : operandType(node.TypeCast.arg);
+}
+
+// A constant, possibly cast ('2024-01-01'::date), as SQL; null for anything else (parameters, expressions)
+function literalOf(node) {
+  return node?.A_Const || node?.TypeCast?.arg?.A_Const ? renderExpression(node) : null;
+}
+
+// Keywords that can't be a bare column or table name (PostgreSQL's reserved and type/function-name
+// keywords, src/include/parser/kwlist.h)
+const RESERVED_KEYWORDS = new Set([
+  'all', 'analyse', 'analyze', 'and', 'any', 'array', 'as', 'asc', 'asymmetric', 'authorization', 'binary',
+  'both', 'case', 'cast', 'check', 'collate', 'collation', 'column', 'concurrently', 'constraint', 'create',
+  'cross', 'current_catalog', 'current_date', 'current_role', 'current_schema', 'current_time',
+  'current_timestamp', 'current_user', 'default', 'deferrable', 'desc', 'distinct', 'do', 'else', 'end',
+  'except', 'false', 'fetch', 'for', 'foreign', 'freeze', 'from', 'full', 'grant', 'group', 'having', 'ilike',
+  'in', 'initially', 'inner', 'intersect', 'into', 'is', 'isnull', 'join', 'lateral', 'leading', 'left', 'like',
+  'limit', 'localtime', 'localtimestamp', 'natural', 'not', 'notnull', 'null', 'offset', 'on', 'only', 'or',
+  'order', 'outer', 'overlaps', 'placing', 'primary', 'references', 'returning', 'right', 'select',
+  'session_user', 'similar', 'some', 'symmetric', 'system_user', 'table', 'tablesample', 'then', 'to',
+  'trailing', 'true', 'union', 'unique', 'user', 'using', 'variadic', 'verbose', 'when', 'where', 'window', 'with'
+]);
+
+// A name as SQL: bare when PostgreSQL would read it back unchanged, double-quoted otherwise
+// (upper case, leading digits, other characters, reserved keywords)
+export function quoteIdentifier(name) {
+  return /^[a-z_][a-z0-9_$]*$/.test(name) && !RESERVED_KEYWORDS.has(name) ? name : `"${name.replace(/"/g, '""')}"`;
+}
+
+// 5 < price is price > 5, '{a}' <@ tags is tags @> '{a}'
+function flip(operator) {
+  return { '<': '>', '>': '<', '<=': '>=', '>=': '<=', '@>': '<@', '<@': '@>' }[operator] || operator;
+}
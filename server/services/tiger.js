@@ -1,14 +1,17 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import pg from 'pg';
+import { createForkProvider } from './forks/index.js';
+import { checkSelectQuery } from './sql-analyzer.js';
 
-const execAsync = promisify(exec);
 const { Client, Pool } = pg;
 
 export class TigerService {
-  constructor() {
+  constructor({ forkProvider } = {}) {
     this.serviceName = process.env.TIGER_SERVICE_NAME || 'my-agentic-db';
     this.baseConnectionString = process.env.TIGER_DATABASE_URL;
+    this.forkProvider = forkProvider || createForkProvider(process.env.FORK_PROVIDER || 'tiger', {
+      baseConnectionString: this.baseConnectionString,
+      serviceName: this.serviceName
+    });
     // Create connection pool for better performance
     this.pool = this.baseConnectionString ? new Pool({
       connectionString: this.baseConnectionString,
@@ -25,154 +28,426 @@ export class TigerService {
     }
   }
 
-  // Create a zero-copy fork for testing
-  async createFork(forkName) {
+  // Fork lifecycle is delegated to the configured provider (see services/forks)
+  async createFork(forkName, { signal } = {}) {
+    return this.forkProvider.createFork(forkName, { signal });
+  }
+
+  async attachFork(forkName, { signal } = {}) {
+    return this.forkProvider.attachFork(forkName, { signal });
+  }
+
+  async deleteFork(forkName) {
+    return this.forkProvider.deleteFork(forkName);
+  }
+
+  async listForks() {
+    return this.forkProvider.listForks();
+  }
+
+  getForkConnectionString(forkName) {
+    return this.forkProvider.getForkConnectionString(forkName);
+  }
+
+  /**
+   * Open a sandbox: a dedicated client holding one open transaction on the base database.
+   * Everything run through it is rolled back by closeSandbox, so a run leaves no indexes behind.
+   * pooled: false uses a one-off connection, as in runQuery
+   */
+  async openSandbox({ pooled: allowPool = true } = {}) {
+    const pooled = Boolean(allowPool && this.pool);
+    const client = pooled
+      ? await this.pool.connect()
+      : new Client({ connectionString: this.baseConnectionString });
+
     try {
-      // For demo purposes, we'll simulate fork creation using the main database
-      // In production, this would create actual Tiger Data forks
-      console.log(`Creating simulated fork: ${forkName}`);
-      
-      const connectionString = this.baseConnectionString;
-      
-      return {
-        forkName,
-        connectionString,
-        created: new Date().toISOString(),
-        isSimulated: true
-      };
+      if (!pooled) {
+        await client.connect();
+      }
+      await client.query('BEGIN');
     } catch (error) {
-      throw new Error(`Failed to create fork ${forkName}: ${error.message}`);
+      pooled ? client.release(error) : await client.end();
+      throw error;
     }
+
+    return { client, pooled, savepoints: 0 };
   }
 
-  // Delete a fork when done
-  async deleteFork(forkName) {
+  async closeSandbox(sandbox) {
+    let rollbackError = null;
     try {
-      const tigerPath = process.env.TIGER_CLI_PATH || '/Users/hulyakarakaya/.local/bin/tiger';
-      // For now, we'll just return success since fork deletion might need the service ID
-      // In a real implementation, you'd store the fork service ID and delete it
-      console.log(`Would delete fork: ${forkName}`);
-      return { deleted: true, forkName };
+      await sandbox.client.query('ROLLBACK');
     } catch (error) {
-      console.warn(`Failed to delete fork ${forkName}:`, error.message);
-      return { deleted: false, forkName, error: error.message };
+      rollbackError = error;
+      console.error('Sandbox rollback failed:', error.message);
+    } finally {
+      // A client whose rollback failed must not go back into the pool
+      sandbox.pooled ? sandbox.client.release(rollbackError || undefined) : await sandbox.client.end();
     }
   }
 
-  // List all forks
-  async listForks() {
+  async withSandbox(fn, options) {
+    const sandbox = await this.openSandbox(options);
     try {
-      const tigerPath = process.env.TIGER_CLI_PATH || '/Users/hulyakarakaya/.local/bin/tiger';
-      const command = `${tigerPath} service list`;
-      const { stdout } = await execAsync(command);
-      
-      // Parse the output to extract service names (forks will show as separate services)
-      return this.parseForksList(stdout);
-    } catch (error) {
-      throw new Error(`Failed to list forks: ${error.message}`);
+      return await fn(sandbox);
+    } finally {
+      await this.closeSandbox(sandbox);
     }
   }
 
-  // Get connection string for a specific fork
-  getForkConnectionString(forkServiceId) {
-    // For Tiger Data, each fork is a separate service with its own connection string
-    // This would need to be retrieved from the Tiger CLI output or API
-    // For demo purposes, we'll use the main connection string
-    return this.baseConnectionString;
+  isSandbox(target) {
+    return Boolean(target && typeof target === 'object' && target.client);
   }
 
-  // Extract service ID from Tiger CLI output
-  extractServiceIdFromOutput(output) {
-    // Parse the Tiger CLI output to extract the new service ID
-    // This is a simplified version - in reality you'd parse the actual output format
-    const match = output.match(/Service ID.*?([a-z0-9]+)/i);
-    return match ? match[1] : null;
+  // Run one statement in the sandbox transaction; a savepoint keeps a failing statement
+  // from aborting the whole transaction. The extended protocol refuses multi-statement text, so a
+  // COMMIT smuggled in after the statement can't end the transaction
+  async querySandbox(sandbox, query, { signal, params } = {}) {
+    const savepoint = `sandbox_sp_${++sandbox.savepoints}`;
+    await sandbox.client.query(`SAVEPOINT ${savepoint}`);
+
+    try {
+      const statement = { text: query, values: params, queryMode: 'extended' };
+      const result = await this.queryCancellable(sandbox.client, statement, undefined, signal, this.baseConnectionString);
+      await sandbox.client.query(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (error) {
+      await sandbox.client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      throw error;
+    }
   }
 
-  // Execute query with explain analyze
-  async explainAnalyze(connectionString, query) {
-    // Use pool if available, otherwise fall back to single client
-    if (this.pool && connectionString === this.baseConnectionString) {
-      // Run EXPLAIN (ANALYZE, BUFFERS, FORMAT JSON)
-      const explainQuery = `EXPLAIN (ANALYZE, BUFFERS, FORMAT JSON) ${query}`;
-      const result = await this.pool.query(explainQuery);
+  // Run one statement against a connection string or a sandbox.
+  // Aborting `signal` cancels the statement server-side with pg_cancel_backend.
+  // pooled: false uses a one-off connection even for the base database - an idle pooled connection
+  // keeps the database "in use" and blocks template forks of it
+  async runQuery(target, query, { signal, params, pooled: allowPool = true } = {}) {
+    signal?.throwIfAborted();
 
-      return {
-        query,
-        plan: result.rows[0]['QUERY PLAN'][0],
-        executionTime: result.rows[0]['QUERY PLAN'][0]['Execution Time'],
-        planningTime: result.rows[0]['QUERY PLAN'][0]['Planning Time']
-      };
-    } else {
-      // For fork-specific connections, create a temporary client
-      const client = new Client({ connectionString });
+    if (this.isSandbox(target)) {
+      return this.querySandbox(target, query, { signal, params });
+    }
 
-      try {
+    // Use pool if available, otherwise fall back to a temporary client (fork connections)
+    const pooled = Boolean(allowPool && this.pool && target === this.baseConnectionString);
+    const client = pooled ? await this.pool.connect() : new Client({ connectionString: target });
+
+    try {
+      if (!pooled) {
         await client.connect();
+      }
+      return await this.queryCancellable(client, query, params, signal, target);
+    } finally {
+      pooled ? client.release() : await client.end();
+    }
+  }
 
-        // Run EXPLAIN (ANALYZE, BUFFERS, FORMAT JSON)
-        const explainQuery = `EXPLAIN (ANALYZE, BUFFERS, FORMAT JSON) ${query}`;
-        const result = await client.query(explainQuery);
+  async queryCancellable(client, query, params, signal, connectionString) {
+    if (!signal) {
+      return client.query(query, params);
+    }
 
-        return {
-          query,
-          plan: result.rows[0]['QUERY PLAN'][0],
-          executionTime: result.rows[0]['QUERY PLAN'][0]['Execution Time'],
-          planningTime: result.rows[0]['QUERY PLAN'][0]['Planning Time']
-        };
-      } finally {
-        await client.end();
-      }
+    signal.throwIfAborted();
+    const onAbort = () => this.cancelBackend(connectionString, client.processID);
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      return await client.query(query, params);
+    } finally {
+      signal.removeEventListener('abort', onAbort);
     }
   }
 
-  // Execute a regular query
-  async executeQuery(connectionString, query) {
-    // Use pool if available, otherwise fall back to single client
-    if (this.pool && connectionString === this.baseConnectionString) {
-      const start = Date.now();
-      const result = await this.pool.query(query);
-      const duration = Date.now() - start;
+  // A running statement can only be cancelled from a second session on the same server
+  async cancelBackend(connectionString, pid) {
+    const client = new Client({ connectionString });
 
-      return {
-        query,
-        rowCount: result.rowCount,
-        duration,
-        rows: result.rows
-      };
-    } else {
-      // For fork-specific connections, create a temporary client
-      const client = new Client({ connectionString });
+    try {
+      await client.connect();
+      await client.query('SELECT pg_cancel_backend($1)', [pid]);
+      console.log(`Cancelled backend ${pid}`);
+    } catch (error) {
+      console.warn(`Failed to cancel backend ${pid}:`, error.message);
+    } finally {
+      await client.end().catch(() => {});
+    }
+  }
+
+  // Index names on a table in the current search path (base database unless a target is given)
+  async listIndexes(tableName, target = this.baseConnectionString) {
+    const result = await this.runQuery(target, `
+      SELECT indexname
+      FROM pg_indexes
+      WHERE tablename = $1 AND schemaname = ANY (current_schemas(false))
+      ORDER BY indexname
+    `, { params: [tableName], pooled: false });
+
+    return result.rows.map(row => row.indexname);
+  }
+
+  // Columns per table in the current search path with their type names (arrays are _<element>):
+  // { table: { column: type } }, in column order
+  async getTableColumns(tableNames, target = this.baseConnectionString) {
+    const result = await this.runQuery(target, `
+      SELECT table_name, column_name, udt_name
+      FROM information_schema.columns
+      WHERE table_name = ANY ($1) AND table_schema = ANY (current_schemas(false))
+      ORDER BY table_name, ordinal_position
+    `, { params: [tableNames], pooled: false });
 
+    const columns = {};
+    for (const row of result.rows) {
+      (columns[row.table_name] ||= {})[row.column_name] = row.udt_name;
+    }
+    return columns;
+  }
+
+  // Make an extension usable on the target: a fork, or a sandbox that rolls it back with everything else
+  async ensureExtension(target, name, { signal } = {}) {
+    const available = await this.runQuery(target, `
+      SELECT installed_version FROM pg_available_extensions WHERE name = $1
+    `, { params: [name], signal });
+
+    if (available.rows.length === 0) {
+      throw new Error(`Extension ${name} is not available on this server`);
+    }
+    if (!available.rows[0].installed_version) {
+      await this.runQuery(target, `CREATE EXTENSION IF NOT EXISTS "${name.replace(/"/g, '')}"`, { signal });
+    }
+  }
+
+  // Planner estimates for what-if scenarios, using hypopg's hypothetical indexes. Each scenario
+  // ({ indexes: [CREATE INDEX sql], hide: [existing index names] }) gets a plain EXPLAIN of every
+  // query with just its changes in place. Runs in a sandbox, so an extension created for it is
+  // rolled back, on a one-off connection that can't linger in the pool and block template forks
+  // created right after. Queries that aren't a single SELECT get an error instead of a plan.
+  // Per scenario: { hypothetical: [{ sql, name, error? }], plans: [{ cost, plan } | { error }] }
+  async explainHypothetical(scenarios, queries, { signal } = {}) {
+    const problems = await Promise.all(queries.map(query => checkSelectQuery(query)));
+
+    return this.withSandbox(async (sandbox) => {
+      await this.ensureExtension(sandbox, 'hypopg', { signal });
+
+      // Hiding existing indexes needs hypopg 1.4, so it's only undone when it was used
+      let hidden = false;
+      const reset = options => this.runQuery(sandbox, `SELECT hypopg_reset()${hidden ? ', hypopg_unhide_all_indexes()' : ''}`, options);
+
+      const outcomes = [];
       try {
-        await client.connect();
-        const start = Date.now();
-        const result = await client.query(query);
-        const duration = Date.now() - start;
-
-        return {
-          query,
-          rowCount: result.rowCount,
-          duration,
-          rows: result.rows
-        };
+        for (const { indexes = [], hide = [] } of scenarios) {
+          await reset({ signal });
+
+          const hypothetical = [];
+          for (const sql of indexes) {
+            try {
+              const { rows } = await this.runQuery(sandbox, 'SELECT indexname FROM hypopg_create_index($1)', { params: [sql.replace(/;\s*$/, '')], signal });
+              hypothetical.push({ sql, name: rows[0].indexname });
+            } catch (error) {
+              signal?.throwIfAborted();
+              hypothetical.push({ sql, name: null, error: error.message });
+            }
+          }
+          for (const name of hide) {
+            hidden = true;
+            await this.runQuery(sandbox, 'SELECT hypopg_hide_index(to_regclass($1))', { params: [name], signal });
+          }
+
+          const plans = [];
+          for (const [i, query] of queries.entries()) {
+            if (problems[i]) {
+              plans.push({ error: problems[i] });
+              continue;
+            }
+            try {
+              const { rows } = await this.runQuery(sandbox, `EXPLAIN (FORMAT JSON) ${query}`, { signal });
+              const [plan] = rows[0]['QUERY PLAN'];
+              plans.push({ cost: plan.Plan['Total Cost'], plan });
+            } catch (error) {
+              signal?.throwIfAborted();
+              plans.push({ error: error.message });
+            }
+          }
+          outcomes.push({ hypothetical, plans });
+        }
       } finally {
-        await client.end();
+        // Hypothetical indexes live in the backend, not the transaction; a pooled client must not keep them
+        await reset().catch(() => {});
       }
+      return outcomes;
+    }, { pooled: false });
+  }
+
+  // Foreign keys from or to these tables; `indexed` is whether some non-partial index on the
+  // referencing table starts with the key's columns (in any order)
+  async getForeignKeys(tableNames, target = this.baseConnectionString) {
+    const result = await this.runQuery(target, `
+      SELECT
+        con.conname AS constraint_name,
+        rel.relname AS table_name,
+        ref.relname AS referenced_table,
+        ARRAY(
+          SELECT a.attname FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, n)
+          JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+          ORDER BY k.n
+        )::text[] AS columns,
+        ARRAY(
+          SELECT a.attname FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, n)
+          JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+          ORDER BY k.n
+        )::text[] AS referenced_columns,
+        EXISTS (
+          SELECT 1 FROM pg_index i
+          WHERE i.indrelid = con.conrelid AND i.indpred IS NULL
+            AND (i.indkey::int2[])[0:cardinality(con.conkey) - 1] @> con.conkey
+        ) AS indexed
+      FROM pg_constraint con
+      JOIN pg_class rel ON rel.oid = con.conrelid
+      JOIN pg_namespace ns ON ns.oid = rel.relnamespace
+      JOIN pg_class ref ON ref.oid = con.confrelid
+      WHERE con.contype = 'f' AND ns.nspname = ANY (current_schemas(false))
+        AND (rel.relname = ANY ($1) OR ref.relname = ANY ($1))
+      ORDER BY rel.relname, con.conname
+    `, { params: [tableNames], pooled: false });
+
+    return result.rows.map(row => ({
+      constraint: row.constraint_name,
+      table: row.table_name,
+      columns: row.columns,
+      referencedTable: row.referenced_table,
+      referencedColumns: row.referenced_columns,
+      indexed: row.indexed
+    }));
+  }
+
+  // Every index on these tables: { table: [{ name, method, unique, primary, constraint, keys, include,
+  // predicate, definition, sizeBytes, scans }] }. keys and include are column names, or the expression
+  // text for expression keys; definition is the CREATE INDEX statement pg_indexes shows
+  async getIndexes(tableNames, target = this.baseConnectionString) {
+    const result = await this.runQuery(target, `
+      SELECT t.relname AS table_name, c.relname AS index_name, am.amname AS method,
+        i.indisunique AS is_unique, i.indisprimary AS is_primary, con.conname AS constraint_name,
+        ARRAY(SELECT pg_get_indexdef(i.indexrelid, k, true) FROM generate_series(1, i.indnkeyatts) AS k) AS keys,
+        ARRAY(SELECT pg_get_indexdef(i.indexrelid, k, true) FROM generate_series(i.indnkeyatts + 1, i.indnatts) AS k) AS include,
+        pg_get_expr(i.indpred, i.indrelid, true) AS predicate,
+        pg_get_indexdef(i.indexrelid) AS definition,
+        pg_relation_size(i.indexrelid) AS bytes,
+        pg_stat_get_numscans(i.indexrelid) AS scans
+      FROM pg_index i
+      JOIN pg_class c ON c.oid = i.indexrelid
+      JOIN pg_class t ON t.oid = i.indrelid
+      JOIN pg_namespace ns ON ns.oid = t.relnamespace
+      JOIN pg_am am ON am.oid = c.relam
+      LEFT JOIN pg_constraint con ON con.conindid = i.indexrelid AND con.conrelid = i.indrelid
+      WHERE t.relname = ANY ($1) AND ns.nspname = ANY (current_schemas(false))
+      ORDER BY t.relname, c.relname
+    `, { params: [tableNames], pooled: false });
+
+    const indexes = {};
+    for (const row of result.rows) {
+      (indexes[row.table_name] ||= []).push({
+        name: row.index_name,
+        method: row.method,
+        unique: row.is_unique,
+        primary: row.is_primary,
+        // Primary key, unique and exclusion constraints can't lose their index
+        constraint: row.constraint_name,
+        keys: row.keys,
+        include: row.include,
+        predicate: row.predicate,
+        definition: row.definition,
+        sizeBytes: Number(row.bytes),
+        scans: Number(row.scans)
+      });
     }
+    return indexes;
   }
 
-  // Helper to parse forks list output
-  parseForksList(output) {
-    // Adapt this based on actual Tiger CLI output format
-    const lines = output.split('\n').filter(line => line.trim());
-    return lines.map(line => {
-      const parts = line.split(/\s+/);
-      return {
-        name: parts[0],
-        status: parts[1] || 'active',
-        created: parts[2] || new Date().toISOString()
+  // Planner statistics for the given { table, column } pairs: { table: { column: stats } }.
+  // Columns never ANALYZEd have no entry; mostCommonVals are in their text form
+  async getColumnStats(columns, target = this.baseConnectionString) {
+    const result = await this.runQuery(target, `
+      SELECT s.tablename AS table_name, s.attname AS column_name, s.null_frac, s.n_distinct, s.avg_width,
+        s.most_common_vals::text::text[] AS most_common_vals, s.most_common_freqs, s.correlation
+      FROM pg_stats s
+      JOIN unnest($1::text[], $2::text[]) AS wanted(table_name, column_name)
+        ON wanted.table_name = s.tablename AND wanted.column_name = s.attname
+      WHERE s.schemaname = ANY (current_schemas(false))
+    `, { params: [columns.map(({ table }) => table), columns.map(({ column }) => column)], pooled: false });
+
+    const stats = {};
+    for (const row of result.rows) {
+      (stats[row.table_name] ||= {})[row.column_name] = {
+        nullFrac: row.null_frac,
+        nDistinct: row.n_distinct,
+        // Average stored width in bytes of the non-null values
+        avgWidth: row.avg_width,
+        mostCommonVals: row.most_common_vals || [],
+        mostCommonFreqs: row.most_common_freqs || [],
+        // Physical order vs value order, -1..1 (null for types without ordering)
+        correlation: row.correlation
       };
-    });
+    }
+    return stats;
+  }
+
+  // Size of each table as the planner sees it: { table: { pages, tuples, bytes } }
+  async getTableSizes(tableNames, target = this.baseConnectionString) {
+    const result = await this.runQuery(target, `
+      SELECT c.relname AS table_name, c.relpages AS pages, c.reltuples AS tuples,
+        pg_table_size(c.oid) AS bytes
+      FROM pg_class c
+      JOIN pg_namespace ns ON ns.oid = c.relnamespace
+      WHERE c.relname = ANY ($1) AND c.relkind IN ('r', 'p', 'm') AND ns.nspname = ANY (current_schemas(false))
+    `, { params: [tableNames], pooled: false });
+
+    const sizes = {};
+    for (const row of result.rows) {
+      sizes[row.table_name] = { pages: row.pages, tuples: Math.max(0, row.tuples), bytes: Number(row.bytes) };
+    }
+    return sizes;
+  }
+
+  // On-disk size of an index (target is a connection string or a sandbox)
+  async getIndexSize(target, indexName, { signal } = {}) {
+    const result = await this.runQuery(target, 'SELECT pg_relation_size(to_regclass($1)) AS bytes', { params: [indexName], signal });
+    return result.rows[0].bytes === null ? null : Number(result.rows[0].bytes);
+  }
+
+  // Schema and OID of an index (target is a connection string or a sandbox), or null if there is none.
+  // indexName resolves as in SQL: unqualified names through the search path
+  async getIndexIdentity(target, indexName, { signal, pooled } = {}) {
+    const result = await this.runQuery(target, `
+      SELECT n.nspname AS schema, c.oid::text AS oid
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE c.oid = to_regclass($1) AND c.relkind IN ('i', 'I')
+    `, { params: [indexName], signal, pooled });
+    return result.rows[0] || null;
+  }
+
+  // Execute query with explain analyze (target is a connection string or a sandbox)
+  async explainAnalyze(connectionString, query, { signal } = {}) {
+    const result = await this.runQuery(connectionString, `EXPLAIN (ANALYZE, BUFFERS, FORMAT JSON) ${query}`, { signal });
+
+    return {
+      query,
+      plan: result.rows[0]['QUERY PLAN'][0],
+      executionTime: result.rows[0]['QUERY PLAN'][0]['Execution Time'],
+      planningTime: result.rows[0]['QUERY PLAN'][0]['Planning Time']
+    };
+  }
+
+  // Execute a regular query (target is a connection string or a sandbox)
+  async executeQuery(connectionString, query, { signal } = {}) {
+    const start = Date.now();
+    const result = await this.runQuery(connectionString, query, { signal });
+    const duration = Date.now() - start;
+
+    return {
+      query,
+      rowCount: result.rowCount,
+      duration,
+      rows: result.rows
+    };
   }
-}
\ No newline at end of file
+}
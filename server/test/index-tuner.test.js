@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IndexTunerAgent } from '../agents/index-tuner.js';
+
+// Without a database the catalog reads fail softly, so column types come from the queries alone
+async function indexSql(queries, strategyIds) {
+  const agent = new IndexTunerAgent(null);
+  const { strategies } = await agent.generateIndexStrategies(queries, null, { strategies: strategyIds });
+  return Object.fromEntries(strategies.map(strategy => [strategy.id, strategy.indexes.map(index => index.sql)]));
+}
+
+test('mixed-case and reserved identifiers are quoted in the generated SQL', async () => {
+  const sql = await indexSql(['SELECT * FROM "Users" WHERE "Email" = $1 AND "select" > 3'], ['single-column', 'composite']);
+
+  assert.deepEqual(sql['single-column'], [
+    'CREATE INDEX idx_users_email ON "Users" ("Email");',
+    'CREATE INDEX idx_users_select ON "Users" ("select");'
+  ]);
+  assert.deepEqual(sql.composite, ['CREATE INDEX idx_users_composite ON "Users" ("Email", "select");']);
+});
+
+test('containment picks the GIN opclass from its operand and skips unknown operands', async () => {
+  const sql = await indexSql([
+    'SELECT * FROM events WHERE tags @> ARRAY[1] AND data @> $1::jsonb AND meta ? $2 AND other @> $3'
+  ], ['gin']);
+
+  assert.deepEqual(sql.gin, [
+    'CREATE INDEX idx_events_tags_gin ON events USING gin (tags);',
+    'CREATE INDEX idx_events_data_gin ON events USING gin (data jsonb_path_ops);',
+    'CREATE INDEX idx_events_meta_gin ON events USING gin (meta);'
+  ]);
+});
+
+test('columns filtered only by LIKE or containment get no B-tree index', async () => {
+  const sql = await indexSql(['SELECT * FROM events WHERE name LIKE $1 AND tags && ARRAY[1] AND kind = $2'], ['single-column']);
+
+  assert.deepEqual(sql['single-column'], ['CREATE INDEX idx_events_kind ON events (kind);']);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobQueue } from '../services/job-queue.js';
+import { AgentOrchestrator } from '../agents/orchestrator.js';
+import { MemoryJobRepository } from '../services/jobs/memory-repository.js';
+
+// Jobs start on a later tick and stay running until finish(jobId) is called
+function harness(options) {
+  const queue = new JobQueue(options);
+  const started = [];
+  const finishers = new Map();
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  return {
+    queue,
+    started,
+    add: async (jobId, clientId, forks = 1) => {
+      queue.enqueue({
+        jobId,
+        clientId,
+        forks,
+        run: ({ forks: reserved }) => new Promise(resolve => {
+          started.push({ jobId, forks: reserved });
+          finishers.set(jobId, resolve);
+        })
+      });
+      await settle();
+    },
+    finish: async (jobId) => {
+      finishers.get(jobId)();
+      await settle();
+      await settle();
+    }
+  };
+}
+
+test('waiting clients are served round-robin, one job per client per turn', async () => {
+  const { queue, started, add, finish } = harness({ maxConcurrentJobs: 1 });
+  for (const jobId of ['a1', 'a2', 'a3', 'a4']) {
+    await add(jobId, 'client-a');
+  }
+  await add('b1', 'client-b');
+  await add('b2', 'client-b');
+  await add('c1', 'client-c');
+
+  assert.deepEqual(['a2', 'b1', 'c1', 'a3', 'b2', 'a4'].map(jobId => queue.positionOf(jobId)), [1, 2, 3, 4, 5, 6]);
+  while (started.length < 7) {
+    await finish(started.at(-1).jobId);
+  }
+
+  assert.deepEqual(started.map(({ jobId }) => jobId), ['a1', 'a2', 'b1', 'c1', 'a3', 'b2', 'a4']);
+});
+
+test('a client that starts waiting goes before the next job of the client just served', async () => {
+  const { queue, started, add, finish } = harness({ maxConcurrentJobs: 1 });
+  for (const jobId of ['a1', 'a2', 'a3']) {
+    await add(jobId, 'client-a');
+  }
+  await finish('a1');
+  await add('b1', 'client-b');
+
+  assert.equal(queue.positionOf('b1'), 1);
+  await finish('a2');
+  assert.deepEqual(started.map(({ jobId }) => jobId), ['a1', 'a2', 'b1']);
+});
+
+test('jobs start only when their forks fit in the live-fork budget, strictly in turn', async () => {
+  const { queue, started, add, finish } = harness({ maxConcurrentJobs: 3, maxLiveForks: 4 });
+  await add('big', 'client-a', 3);
+  await add('medium', 'client-b', 2);
+  // Would fit next to `big`, but waits its turn behind `medium`
+  await add('small', 'client-c', 1);
+
+  assert.deepEqual(started.map(({ jobId }) => jobId), ['big']);
+  assert.deepEqual(queue.stats(), { running: 1, queued: 2, liveForks: 3, maxConcurrentJobs: 3, maxLiveForks: 4 });
+
+  await finish('big');
+  assert.deepEqual(started.map(({ jobId }) => jobId), ['big', 'medium', 'small']);
+  assert.equal(queue.liveForks, 3);
+});
+
+test('a job asking for more forks than the budget runs with the whole budget', async () => {
+  const { started, add } = harness({ maxLiveForks: 4 });
+  await add('huge', 'client-a', 10);
+
+  assert.deepEqual(started, [{ jobId: 'huge', forks: 4 }]);
+});
+
+test('a full queue rejects new jobs with QUEUE_FULL, and removed jobs free their place', async () => {
+  const { queue, add } = harness({ maxConcurrentJobs: 1, maxQueuedJobs: 1 });
+  await add('running', 'client-a');
+  await add('waiting', 'client-a');
+
+  await assert.rejects(add('rejected', 'client-b'), error => error.code === 'QUEUE_FULL' && error.status === 503);
+  assert.equal(queue.remove('waiting'), true);
+  await add('accepted', 'client-b');
+  assert.equal(queue.positionOf('accepted'), 1);
+});
+
+test('a job the queue rejects after it was saved is stored as failed', async () => {
+  const jobRepository = new MemoryJobRepository();
+  // Capacity looked fine up front, but other requests filled the queue while the job was saved
+  const queue = {
+    assertCapacity() {},
+    enqueue() {
+      const error = new Error('Optimization queue is full (1 jobs waiting)');
+      error.code = 'QUEUE_FULL';
+      throw error;
+    },
+    positionOf: () => null
+  };
+  const orchestrator = new AgentOrchestrator(null, { jobRepository, queue });
+
+  await assert.rejects(orchestrator.runABOptimization({ queries: ['SELECT 1'], options: {} }), { code: 'QUEUE_FULL' });
+  await Promise.all(orchestrator.pendingWrites.values());
+
+  const [summary] = await jobRepository.list();
+  assert.equal(summary.status, 'failed');
+  assert.equal(summary.error, 'Optimization queue is full (1 jobs waiting)');
+  assert.ok(summary.endTime);
+  assert.equal(orchestrator.runs.size, 0);
+  assert.equal(orchestrator.activeJobs.size, 0);
+});
@@ -0,0 +1,86 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemoryJobRepository, FileJobRepository, PostgresJobRepository } from '../services/jobs/index.js';
+
+// The same contract for every job store; the Postgres one runs when TEST_JOB_STORE_DATABASE_URL is set
+const fileDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+const postgresUrl = process.env.TEST_JOB_STORE_DATABASE_URL;
+
+const REPOSITORIES = [
+  { name: 'memory', create: () => new MemoryJobRepository() },
+  { name: 'file', create: () => new FileJobRepository({ directory: fs.mkdtempSync(path.join(fileDirectory, 'store-')) }) },
+  {
+    name: 'postgres',
+    skip: !postgresUrl && 'TEST_JOB_STORE_DATABASE_URL not set',
+    create: () => new PostgresJobRepository({ connectionString: postgresUrl, table: `jobs_test_${process.pid}_${Date.now()}` }),
+    cleanup: repository => repository.pool.query(`DROP TABLE IF EXISTS ${repository.table}`)
+  }
+];
+
+after(() => fs.rmSync(fileDirectory, { recursive: true, force: true }));
+
+const job = (n, overrides = {}) => ({
+  id: `00000000-0000-4000-8000-00000000000${n}`,
+  status: 'completed',
+  startTime: new Date(Date.UTC(2026, 0, n)).toISOString(),
+  endTime: new Date(Date.UTC(2026, 0, n, 1)).toISOString(),
+  queries: ['SELECT * FROM orders WHERE status = $1'],
+  options: {},
+  executionMode: 'forks',
+  results: null,
+  error: null,
+  ...overrides
+});
+
+// Runs fn against a fresh, initialized repository and always closes it
+async function withRepository({ create, cleanup }, fn) {
+  const repository = create();
+  try {
+    await repository.init();
+    await fn(repository);
+  } finally {
+    await cleanup?.(repository);
+    await repository.close();
+  }
+}
+
+for (const store of REPOSITORIES) {
+  test(`${store.name}: a saved job reads back whole, and unknown jobs are null`, { skip: store.skip }, () =>
+    withRepository(store, async (repository) => {
+      const saved = job(1, { checkpoint: { pipelines: { composite: { results: [{ executionTime: 1.5 }] } } } });
+      await repository.save(saved);
+
+      assert.deepEqual(await repository.get(saved.id), saved);
+      assert.equal(await repository.get(job(9).id), null);
+    }));
+
+  test(`${store.name}: listings are newest start first, paged, and later saves don't reorder them`, { skip: store.skip }, () =>
+    withRepository(store, async (repository) => {
+      for (const n of [2, 1, 3]) {
+        await repository.save(job(n));
+      }
+      // The oldest job is written last, as the reaper does when it marks a job reaped
+      await repository.save(job(1, { reapedAt: new Date().toISOString() }));
+
+      const listed = await repository.list();
+      assert.deepEqual(listed.map(summary => summary.id), [job(3).id, job(2).id, job(1).id]);
+      assert.deepEqual((await repository.list({ limit: 1, offset: 1 })).map(summary => summary.id), [job(2).id]);
+      assert.deepEqual(
+        (({ status, startTime, queries, executionMode, reapedAt }) => ({ status, startTime, queries, executionMode, reapedAt: Boolean(reapedAt) }))(listed[2]),
+        { status: 'completed', startTime: job(1).startTime, queries: 1, executionMode: 'forks', reapedAt: true }
+      );
+    }));
+
+  test(`${store.name}: jobs started before the cutoff are deleted`, { skip: store.skip }, () =>
+    withRepository(store, async (repository) => {
+      for (const n of [1, 2, 3]) {
+        await repository.save(job(n));
+      }
+
+      assert.equal(await repository.deleteOlderThan(new Date(job(3).startTime)), 2);
+      assert.deepEqual((await repository.list()).map(summary => summary.id), [job(3).id]);
+    }));
+}
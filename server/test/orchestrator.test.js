@@ -0,0 +1,226 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentOrchestrator } from '../agents/orchestrator.js';
+import { JobQueue } from '../services/job-queue.js';
+import { MemoryJobRepository } from '../services/jobs/memory-repository.js';
+
+const QUERIES = ['SELECT * FROM orders WHERE customer_id = 1', 'SELECT * FROM orders WHERE status = \'open\''];
+
+const STRATEGIES = [
+  { id: 'baseline', name: 'Baseline', indexes: [], drops: [] },
+  {
+    id: 'composite',
+    name: 'Composite',
+    indexes: [{ name: 'idx_orders_customer_status', table: 'orders', sql: 'CREATE INDEX idx_orders_customer_status ON orders (customer_id, status)' }],
+    drops: []
+  },
+  {
+    id: 'single',
+    name: 'Single column',
+    indexes: [{ name: 'idx_orders_status', table: 'orders', sql: 'CREATE INDEX idx_orders_status ON orders (status)' }],
+    drops: []
+  }
+];
+
+// Forks live in a map and every call is recorded. With `hold`, EXPLAIN ANALYZE blocks until the run is aborted
+function stubTigerService({ hold = false } = {}) {
+  const forks = new Map();
+  const calls = [];
+  const record = (method, ...args) => calls.push({ method, args });
+
+  const fork = (forkName, serviceId) => ({ forkName, serviceId, connectionString: `postgresql://fork/${forkName}` });
+
+  return {
+    forks,
+    calls,
+    called: method => calls.filter(call => call.method === method).map(call => call.args),
+    addFork(forkName, serviceId) {
+      forks.set(forkName, fork(forkName, serviceId));
+    },
+    async createFork(forkName) {
+      record('createFork', forkName);
+      this.addFork(forkName, `svc-${forks.size + 1}`);
+      return forks.get(forkName);
+    },
+    async attachFork(forkName) {
+      record('attachFork', forkName);
+      return forks.get(forkName) || null;
+    },
+    async deleteFork(forkName) {
+      record('deleteFork', forkName);
+      return forks.delete(forkName) ? { deleted: true, forkName } : { deleted: false, forkName, error: 'not found' };
+    },
+    async executeQuery(connectionString, sql) {
+      record('executeQuery', connectionString, sql);
+      return { duration: 5 };
+    },
+    async getIndexIdentity() {
+      return { schema: 'public', oid: 16400 };
+    },
+    async getIndexSize() {
+      return 8192;
+    },
+    async listIndexes() {
+      return ['orders_pkey'];
+    },
+    explainAnalyze(connectionString, query, { signal } = {}) {
+      record('explainAnalyze', connectionString, query);
+      if (hold) {
+        return new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+        });
+      }
+      const executionTime = connectionString.endsWith('-baseline') ? 10 : 2;
+      return Promise.resolve({ executionTime, planningTime: 0.1, plan: { 'Node Type': 'Seq Scan', 'Relation Name': 'orders' } });
+    }
+  };
+}
+
+// A job whose strategies were already generated, as if it had got past step 1 before
+function storedJob(overrides = {}) {
+  return {
+    id: '00000000-0000-4000-8000-000000000001',
+    status: 'running_tests',
+    startTime: new Date().toISOString(),
+    queries: QUERIES,
+    frequencies: null,
+    tableName: 'orders',
+    options: {},
+    executionMode: 'forks',
+    clientId: 'client-a',
+    owner: 'server-a',
+    simulated: false,
+    plannedIndexes: [{ table: 'orders', name: 'idx_orders_customer_status' }, { table: 'orders', name: 'idx_orders_status' }],
+    indexSnapshot: { orders: { before: ['orders_pkey'] } },
+    checkpoint: { strategies: STRATEGIES, analysis: {}, whatIf: null, pipelines: {} },
+    results: null,
+    error: null,
+    ...overrides
+  };
+}
+
+function createOrchestrator(tigerService) {
+  const jobRepository = new MemoryJobRepository();
+  const orchestrator = new AgentOrchestrator(tigerService, {
+    jobRepository,
+    strategyConcurrency: 2,
+    instanceId: 'server-a',
+    queue: new JobQueue({ maxConcurrentJobs: 1, maxLiveForks: 2 })
+  });
+  return { orchestrator, jobRepository };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('cancelling a running job marks every strategy cancelled and deletes its forks', async () => {
+  const tigerService = stubTigerService({ hold: true });
+  const { orchestrator, jobRepository } = createOrchestrator(tigerService);
+  const job = storedJob({ status: 'queued' });
+  await jobRepository.save(job);
+  orchestrator.startJob(job);
+
+  // Two pipelines hold forks and wait on their first query; the third hasn't started
+  while (tigerService.called('explainAnalyze').length < 2) {
+    await settle();
+  }
+  assert.deepEqual([...tigerService.forks.keys()], [`${job.id}-baseline`, `${job.id}-composite`]);
+
+  const status = await orchestrator.cancelOptimization(job.id);
+  await Promise.all(orchestrator.pendingWrites.values());
+
+  assert.equal(status.status, 'cancelled');
+  assert.equal(status.error, 'Optimization cancelled');
+  assert.deepEqual(status.strategySteps, { baseline: 'cancelled', composite: 'cancelled', single: 'cancelled' });
+  assert.equal(tigerService.forks.size, 0);
+  assert.deepEqual(tigerService.called('deleteFork').map(([forkName]) => forkName).sort(), [`${job.id}-baseline`, `${job.id}-composite`]);
+  // The strategy that never started never got a fork
+  assert.deepEqual(tigerService.called('createFork').map(([forkName]) => forkName), [`${job.id}-baseline`, `${job.id}-composite`]);
+
+  const stored = await jobRepository.get(job.id);
+  assert.equal(stored.status, 'cancelled');
+  assert.equal(stored.checkpoint, null);
+  assert.deepEqual(stored.createdIndexes, [{ name: 'idx_orders_customer_status', table: 'orders', schema: 'public', oid: 16400 }]);
+  assert.equal(orchestrator.runs.size, 0);
+  assert.equal(orchestrator.queue.liveForks, 0);
+});
+
+test('a resumed job skips finished pipelines, reattaches its fork and measures only the missing queries', async () => {
+  const tigerService = stubTigerService();
+  const { orchestrator, jobRepository } = createOrchestrator(tigerService);
+  const measurement = (query, executionTime) => ({ query, executionTime, planningTime: 0.1, plan: {}, metrics: { indexesUsed: [] }, runs: 3 });
+  const job = storedJob({
+    updatedAt: new Date().toISOString(),
+    checkpoint: {
+      strategies: STRATEGIES.slice(0, 2),
+      analysis: {},
+      whatIf: null,
+      pipelines: {
+        baseline: { fork: null, indexResults: [], results: QUERIES.map(query => measurement(query, 10)), outcome: 'done', error: null },
+        // Interrupted after its index was built and one query measured; its fork is still up
+        composite: {
+          fork: { name: '00000000-0000-4000-8000-000000000001-composite', serviceId: 'svc-7' },
+          indexResults: [{ index: 'idx_orders_customer_status', status: 'created' }],
+          results: [measurement(QUERIES[0], 2)],
+          outcome: null,
+          error: null
+        }
+      }
+    }
+  });
+  tigerService.addFork(`${job.id}-composite`, 'svc-7');
+  await jobRepository.save(job);
+
+  assert.equal(await orchestrator.resumeJobs(), 1);
+  await orchestrator.runs.get(job.id).done;
+  await Promise.all(orchestrator.pendingWrites.values());
+
+  const stored = await jobRepository.get(job.id);
+  assert.equal(stored.status, 'completed');
+  assert.equal(stored.resumeCount, 1);
+  assert.equal(stored.checkpoint, null);
+  assert.deepEqual(tigerService.called('createFork'), []);
+  assert.deepEqual(tigerService.called('attachFork').map(([forkName]) => forkName), [`${job.id}-composite`]);
+  // The index is already on the fork
+  assert.deepEqual(tigerService.called('executeQuery'), []);
+  // Three timed runs of the one query left, on the reattached fork only
+  assert.deepEqual(tigerService.called('explainAnalyze').map(([connectionString, query]) => [connectionString, query]),
+    Array(3).fill([`postgresql://fork/${job.id}-composite`, QUERIES[1]]));
+  assert.deepEqual(tigerService.called('deleteFork').map(([forkName]) => forkName), [`${job.id}-composite`]);
+  assert.equal(tigerService.forks.size, 0);
+
+  assert.deepEqual(stored.results.performance.composite.map(result => result.executionTime), [2, 2]);
+  assert.deepEqual(stored.results.performance.baseline.map(result => result.executionTime), [10, 10]);
+  assert.equal(stored.results.comparison.winner, 'composite');
+});
+
+test('a resumed job whose fork is gone gets a fresh fork and reapplies its indexes', async () => {
+  const tigerService = stubTigerService();
+  const { orchestrator, jobRepository } = createOrchestrator(tigerService);
+  const job = storedJob({
+    checkpoint: {
+      strategies: STRATEGIES.slice(0, 2),
+      analysis: {},
+      whatIf: null,
+      pipelines: {
+        composite: {
+          fork: { name: '00000000-0000-4000-8000-000000000001-composite', serviceId: 'svc-7' },
+          indexResults: [{ index: 'idx_orders_customer_status', status: 'created' }],
+          results: [],
+          outcome: null,
+          error: null
+        }
+      }
+    }
+  });
+  await jobRepository.save(job);
+
+  assert.equal(await orchestrator.resumeJobs(), 1);
+  await orchestrator.runs.get(job.id).done;
+  await Promise.all(orchestrator.pendingWrites.values());
+
+  const stored = await jobRepository.get(job.id);
+  assert.equal(stored.status, 'completed');
+  assert.deepEqual(tigerService.called('createFork').map(([forkName]) => forkName).sort(), [`${job.id}-baseline`, `${job.id}-composite`]);
+  assert.deepEqual(tigerService.called('executeQuery').map(([, sql]) => sql), [STRATEGIES[1].indexes[0].sql]);
+  assert.equal(tigerService.forks.size, 0);
+});
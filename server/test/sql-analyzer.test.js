@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse } from 'libpg-query';
+import { analyzeSql, checkSelectQuery } from '../services/sql-analyzer.js';
+
+// Parse tree of an expression with token positions dropped, for comparing two spellings of it
+async function expressionTree(sql) {
+  const tree = await parse(`SELECT ${sql}`);
+  return JSON.parse(JSON.stringify(tree.stmts[0].stmt.SelectStmt.targetList[0].ResTarget.val, (key, value) =>
+    key === 'location' ? undefined : value));
+}
+
+test('columns are resolved through aliases, joins and correlated subqueries', async () => {
+  const usage = await analyzeSql([
+    'SELECT o.id FROM orders o JOIN users u ON u.id = o.user_id ' +
+    'WHERE o.status IN ($1, $2) AND u.created_at > $3 AND EXISTS (SELECT 1 FROM events e WHERE e.user_id = u.id) ' +
+    'ORDER BY o.created_at DESC NULLS LAST'
+  ]);
+
+  assert.deepEqual(usage.referencedTables, ['orders', 'users', 'events']);
+  assert.deepEqual(usage.predicates.map(({ table, column, kind, operator }) => ({ table, column, kind, operator })), [
+    { table: 'orders', column: 'status', kind: 'equality', operator: '=' },
+    { table: 'users', column: 'created_at', kind: 'range', operator: '>' }
+  ]);
+  assert.deepEqual(usage.joins.map(({ left, right }) => [`${left.table}.${left.column}`, `${right.table}.${right.column}`]), [
+    ['users.id', 'orders.user_id'],
+    ['events.user_id', 'users.id']
+  ]);
+  assert.deepEqual(usage.sorts, [[{ table: 'orders', column: 'created_at', block: 0, direction: 'desc', nulls: 'last' }]]);
+  assert.equal(usage.blocks.length, 2);
+});
+
+test('CTE columns belong to the tables inside the CTE, not to the CTE name', async () => {
+  const usage = await analyzeSql(['WITH recent AS (SELECT * FROM orders WHERE created_at > $1) SELECT r.id FROM recent r WHERE r.status = $2']);
+
+  assert.deepEqual(usage.referencedTables, ['orders']);
+  assert.deepEqual(usage.predicates.map(({ table, column }) => `${table}.${column}`), ['orders.created_at']);
+});
+
+test('unqualified columns are resolved through the catalog and predicates under OR are not conjuncts', async () => {
+  const usage = await analyzeSql(
+    ['SELECT id FROM orders JOIN users ON users.id = orders.user_id WHERE email = $1 OR total_amount > 5'],
+    { lookupColumns: async () => ({ orders: ['id', 'user_id', 'total_amount'], users: ['id', 'email'] }) }
+  );
+
+  assert.equal(usage.ownership, 'catalog');
+  assert.deepEqual(usage.predicates.map(({ table, column, conjunct, value }) => ({ table, column, conjunct, value })), [
+    { table: 'users', column: 'email', conjunct: false, value: undefined },
+    { table: 'orders', column: 'total_amount', conjunct: false, value: '5' }
+  ]);
+  // id exists in both tables, so its owner stays unknown
+  assert.deepEqual(usage.projections, [{ table: null, column: 'id', block: 0 }]);
+});
+
+test('a query that does not parse is reported and the rest of the workload is still analyzed', async () => {
+  const usage = await analyzeSql(['SELECT FROM WHERE', 'SELECT * FROM orders WHERE status = $1']);
+
+  assert.deepEqual(usage.errors.map(({ queryIndex }) => queryIndex), [0]);
+  assert.deepEqual(usage.predicates.map(({ table, column }) => `${table}.${column}`), ['orders.status']);
+});
+
+test('casts keep their type modifiers and array bounds', async () => {
+  const usage = await analyzeSql([
+    "SELECT * FROM t WHERE code::varchar(10) = 'a' AND price::numeric(10,2) > 5 AND ids::int[] @> '{1}' AND at::timestamp(3) < now()"
+  ]);
+
+  assert.deepEqual(usage.predicates.map(predicate => predicate.expression), [
+    '(code)::pg_catalog.varchar(10)',
+    '(price)::pg_catalog.numeric(10, 2)',
+    '(ids)::pg_catalog.int4[]',
+    '(at)::pg_catalog.timestamp(3)'
+  ]);
+});
+
+test('a rendered cast parses back to the expression the query wrote', async () => {
+  const casts = ['code::varchar(10)', 'price::numeric(10,2)', 'ids::int[]', 'tags::text[3][]', 'at::timestamptz(3)'];
+  const usage = await analyzeSql([`SELECT * FROM t WHERE ${casts.map(cast => `${cast} IS NOT NULL`).join(' AND ')}`]);
+
+  for (const [i, cast] of casts.entries()) {
+    assert.deepEqual(await expressionTree(usage.predicates[i].expression), await expressionTree(cast), cast);
+  }
+});
+
+test('interval field masks are left unrendered rather than changed', async () => {
+  const usage = await analyzeSql(["SELECT * FROM t WHERE span::interval day > '1 day'"]);
+
+  assert.equal(usage.predicates[0].expression, undefined);
+});
+
+test('only a single read-only SELECT without side-effecting functions passes the query check', async () => {
+  assert.equal(await checkSelectQuery('SELECT * FROM orders WHERE user_id = $1'), null);
+  assert.equal(await checkSelectQuery('WITH recent AS (SELECT * FROM orders) SELECT * FROM recent'), null);
+  assert.equal(await checkSelectQuery("SELECT lower(email), count(*) FROM users WHERE created_at > now() - interval '1 day' GROUP BY 1"), null);
+
+  for (const query of [
+    'SELECT 1; DROP TABLE orders',
+    'SELECT 1; SELECT 2',
+    'DELETE FROM orders',
+    'WITH gone AS (DELETE FROM orders RETURNING *) SELECT * FROM gone',
+    'SELECT * INTO copy FROM orders',
+    'SELECT * FROM orders FOR UPDATE',
+    'SELECT pg_terminate_backend(1)',
+    "SELECT nextval('orders_id_seq')",
+    "SELECT * FROM orders WHERE status = set_config('role', 'admin', false)",
+    "SELECT * FROM dblink_exec('dbname=prod', 'DROP TABLE orders')",
+    'SELECT pg_catalog.pg_advisory_lock(42)',
+    'SELEC * FROM orders'
+  ]) {
+    assert.equal(typeof await checkSelectQuery(query), 'string', query);
+  }
+});